@@ -0,0 +1,136 @@
+const seedrApi = require("./seedrApi");
+const torrentIndex = require("./torrentIndex");
+const eviction = require("./eviction");
+const resolver = require("./resolver");
+
+// ============================================
+// Account Pool - several Seedr accounts behind one install
+// ============================================
+// The first account is the primary one. Item IDs from the other accounts carry
+// a short account tag ("seedr:1a2b3c4d~folder:123") so later requests reach the
+// account that owns the item. Primary-account IDs look the same as with a single
+// account, so adding accounts doesn't break items already in the Stremio library.
+const TAG_PATTERN = /^([a-f0-9]{8})~(.*)$/;
+
+// Best fit first (see eviction.checkFit)
+const FIT_ORDER = ["fits", "needs-eviction", "unknown", "too-large"];
+
+function accountTag(accessToken) {
+    return torrentIndex.accountKey(accessToken).slice(0, 8);
+}
+
+/**
+ * Accounts of an install, primary first
+ * @param {{token: string, tokens?: Array<string>}} config - Parsed addon config
+ * @returns {Array<{token: string, tag: string, prefix: string, label: string}>}
+ *   prefix goes in front of account-local item IDs; label tags items in catalogs (null with a single account)
+ */
+function getPool(config) {
+    const tokens = config.tokens && config.tokens.length > 0 ? config.tokens : [config.token].filter(Boolean);
+
+    return tokens.map((token, index) => ({
+        token,
+        tag: accountTag(token),
+        prefix: index === 0 ? "" : `${accountTag(token)}~`,
+        label: tokens.length > 1 ? `Seedr account ${index + 1}` : null
+    }));
+}
+
+/**
+ * Split an item ID into the account that owns it and the account-local ID
+ * @param {Array<Object>} pool - From getPool
+ * @param {string} itemId - ID without the "seedr:" prefix, e.g. "1a2b3c4d~folder:123"
+ * @returns {{account: Object, id: string}|null} null if the tag matches no account in the pool
+ */
+function splitItemId(pool, itemId) {
+    const match = itemId.match(TAG_PATTERN);
+    if (!match) {
+        return { account: pool[0], id: itemId };
+    }
+
+    const account = pool.find(a => a.tag === match[1]);
+    return account ? { account, id: match[2] } : null;
+}
+
+/**
+ * Find an account by tag, falling back to the primary account
+ * @param {Array<Object>} pool - From getPool
+ * @param {string} tag
+ * @returns {Object}
+ */
+function findAccount(pool, tag) {
+    return pool.find(a => a.tag === tag) || pool[0];
+}
+
+/**
+ * Check a torrent against every account's plan
+ * @param {number} sizeBytes - Torrent size (0 = unknown)
+ * @param {Array<Object>} accountInfos - getAccountInfo results, in pool order
+ * @returns {{fit: string, index: number}} The best fit and the account it was found in (-1 if none)
+ */
+function checkPoolFit(sizeBytes, accountInfos) {
+    let best = { fit: "unknown", index: -1, remaining: -1 };
+
+    accountInfos.forEach((info, index) => {
+        const fit = eviction.checkFit(sizeBytes, info);
+        const remaining = (info && info.remaining_space) || 0;
+        const rank = FIT_ORDER.indexOf(fit);
+        const bestRank = best.index === -1 ? FIT_ORDER.length : FIT_ORDER.indexOf(best.fit);
+
+        // Same fit: the account with the most free space wins
+        if (rank < bestRank || (rank === bestRank && remaining > best.remaining)) {
+            best = { fit, index, remaining };
+        }
+    });
+
+    return { fit: best.fit, index: best.index };
+}
+
+/**
+ * Find the account that already has a torrent, or is downloading it
+ * @param {Array<Object>} pool - From getPool
+ * @param {string} infoHash
+ * @returns {Object|null} The account
+ */
+function findTorrentAccount(pool, infoHash) {
+    return pool.find(account => {
+        const job = resolver.getResolveJob(account.token, infoHash);
+        return torrentIndex.getByInfoHash(account.token, infoHash) || (job && job.phase !== "failed");
+    }) || null;
+}
+
+/**
+ * Choose the account to download a torrent into
+ * An account that already has (or is downloading) the torrent wins; otherwise the
+ * account with the most free space that fits it, per getAccountInfo.
+ * @param {Array<Object>} pool - From getPool
+ * @param {string} infoHash
+ * @param {number} sizeBytes - Torrent size (0 = unknown)
+ * @returns {Promise<Object>} The account
+ */
+async function pickResolveAccount(pool, infoHash, sizeBytes) {
+    if (pool.length === 1) {
+        return pool[0];
+    }
+
+    const existing = findTorrentAccount(pool, infoHash);
+    if (existing) {
+        console.log(`👥 ${existing.label} already has ${infoHash}`);
+        return existing;
+    }
+
+    const infos = await Promise.all(pool.map(account => seedrApi.getCachedAccountInfo(account.token)));
+    const { fit, index } = checkPoolFit(sizeBytes, infos);
+    const account = pool[Math.max(index, 0)];
+    console.log(`👥 Resolving ${infoHash} in ${account.label} (${fit})`);
+    return account;
+}
+
+module.exports = {
+    getPool,
+    splitItemId,
+    findAccount,
+    checkPoolFit,
+    findTorrentAccount,
+    pickResolveAccount
+};
@@ -1,22 +1,79 @@
 const seedrApi = require("./seedrApi");
 const torrentioApi = require("./torrentioApi");
+const releaseParser = require("./releaseParser");
+const torrentIndex = require("./torrentIndex");
+const subtitles = require("./subtitles");
+const streamRanking = require("./streamRanking");
+const addonConfig = require("./config");
+const streamProviders = require("./streamProviders");
+const resolver = require("./resolver");
+const store = require("./store");
+const eviction = require("./eviction");
+const tokenHealth = require("./tokenHealth");
+const accounts = require("./accounts");
 
 // ============================================
 // Manifest Definition
 // ============================================
+// Catalog paging and sorting
+const PAGE_SIZE = 100;
+const SORT_OPTIONS = ["Newest", "Largest", "Name"];
+const FOLDER_OPTION_PREFIX = "📂 ";
+
+/**
+ * Build the extras for library catalogs. The genre extra doubles as sort order
+ * and, when folder names are known, as a filter by top-level Seedr folder.
+ */
+function libraryCatalogExtras(folderNames = []) {
+    return [
+        { name: "search", isRequired: false },
+        {
+            name: "genre",
+            isRequired: false,
+            options: [...SORT_OPTIONS, ...folderNames.map(name => FOLDER_OPTION_PREFIX + name)]
+        },
+        { name: "skip", isRequired: false }
+    ];
+}
+
 const manifest = {
     id: "org.seedr.stremio",
     version: "1.0.0",
     name: "Seedr Cloud Player",
     description: "Stream videos from your Seedr cloud storage account. Supports downloading torrents via Torrentio and streaming from Seedr.",
-    resources: ["catalog", "stream"],
+    resources: [
+        "catalog",
+        {
+            name: "meta",
+            types: ["movie", "series", "other"],
+            idPrefixes: ["seedr:"]
+        },
+        "stream",
+        {
+            name: "subtitles",
+            types: ["movie", "series", "other"],
+            idPrefixes: ["seedr:", "tt"]
+        }
+    ],
     types: ["movie", "series", "channel", "tv", "other"],
     catalogs: [
         {
             type: "other",
             id: "seedr-files",
             name: "My Seedr Files",
-            extra: [{ name: "search", isRequired: false }]
+            extra: libraryCatalogExtras()
+        },
+        {
+            type: "movie",
+            id: "seedr-movies",
+            name: "Seedr Movies",
+            extra: libraryCatalogExtras()
+        },
+        {
+            type: "series",
+            id: "seedr-series",
+            name: "Seedr Series",
+            extra: libraryCatalogExtras()
         },
         {
             type: "other",
@@ -31,33 +88,212 @@ const manifest = {
     }
 };
 
-// Cache for video files (to avoid repeated API calls)
-const videoCache = new Map();
+// Cache for video files (to avoid repeated API calls), keyed by account and kept on disk.
+// Entries older than CACHE_TTL are rescanned; after a restart the saved listing is served
+// once while the rescan runs, so the first catalog doesn't wait on a full Seedr scan.
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const videoCache = store.namespace("videos", { ttl: 24 * 60 * 60 * 1000, maxEntries: 200 });
+const PROCESS_STARTED_AT = Date.now();
+const videoRefreshes = new Map(); // account key -> in-flight scan
+
+const SEEDR_POSTER = "https://www.seedr.cc/favicon.ico"; // Seedr icon as placeholder
 
 /**
  * Get videos with caching
  */
 async function getCachedVideos(accessToken) {
-    const cached = videoCache.get(accessToken);
+    const key = torrentIndex.accountKey(accessToken);
+    const cached = videoCache.get(key);
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
         return cached.videos;
     }
 
-    const videos = await seedrApi.getAllVideoFiles(accessToken);
-    videoCache.set(accessToken, {
-        videos,
-        timestamp: Date.now()
-    });
+    if (!videoRefreshes.has(key)) {
+        const refresh = seedrApi.getAllVideoFiles(accessToken)
+            .then(videos => {
+                videoCache.set(key, {
+                    videos,
+                    timestamp: Date.now()
+                });
+                return videos;
+            })
+            .finally(() => videoRefreshes.delete(key));
+        videoRefreshes.set(key, refresh);
+    }
+    const refresh = videoRefreshes.get(key);
 
-    return videos;
+    // Saved by a previous run - good enough while the fresh scan runs
+    if (cached && cached.timestamp < PROCESS_STARTED_AT) {
+        refresh.catch(error => console.error("Error refreshing video cache:", error.message));
+        return cached.videos;
+    }
+
+    return refresh;
+}
+
+/**
+ * Get the manifest for an install, listing the top-level folders of its accounts as catalog filters.
+ * Only already-cached data is used so manifest requests never wait on a full Seedr scan.
+ * @param {Array<string>} accessTokens - Tokens of every account in the install's pool
+ */
+function getManifest(accessTokens = []) {
+    const cachedVideos = [];
+    for (const accessToken of accessTokens.filter(Boolean)) {
+        const cached = videoCache.get(torrentIndex.accountKey(accessToken));
+        if (cached) {
+            cachedVideos.push(...cached.videos);
+            continue;
+        }
+
+        // Warm the cache so the next manifest fetch can include folder filters
+        getCachedVideos(accessToken).catch(error => {
+            console.error("Error warming video cache:", error.message);
+        });
+    }
+
+    if (cachedVideos.length === 0) {
+        return manifest;
+    }
+
+    const folderNames = [...new Set(cachedVideos.map(v => getTopLevelFolder(v.path)).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+    const extra = libraryCatalogExtras(folderNames);
+
+    return {
+        ...manifest,
+        catalogs: manifest.catalogs.map(catalog => catalog.extra ? { ...catalog, extra } : catalog)
+    };
+}
+
+/**
+ * Get cached videos from every account in the pool, each tagged with its account
+ * Accounts that fail (e.g. a revoked token) are left out instead of emptying the whole library.
+ * @param {Array<Object>} pool - From accounts.getPool
+ */
+async function getPoolVideos(pool) {
+    const lists = await mapAccounts(pool, account => getCachedVideos(account.token));
+    return lists.flatMap(({ account, result: videos }) => videos.map(video => ({ ...video, account })));
+}
+
+/**
+ * Get cached videos from every account in the pool with their release names parsed
+ */
+async function getParsedVideos(pool) {
+    const videos = await getPoolVideos(pool);
+    return videos.map(video => ({
+        ...video,
+        release: releaseParser.parseVideoPath(video.path)
+    }));
+}
+
+/**
+ * Group parsed episode files by series title
+ * @returns {Map<string, {title: string, year: number|null, episodes: Array}>}
+ */
+function groupSeries(parsedVideos) {
+    const series = new Map();
+
+    for (const video of parsedVideos) {
+        if (video.release.type !== "series") continue;
+
+        const slug = releaseParser.titleSlug(video.release.title);
+        if (!slug) continue;
+
+        if (!series.has(slug)) {
+            series.set(slug, {
+                title: video.release.title,
+                year: video.release.year,
+                episodes: []
+            });
+        }
+
+        const entry = series.get(slug);
+        if (!entry.year && video.release.year) entry.year = video.release.year;
+        entry.episodes.push(video);
+    }
+
+    return series;
+}
+
+// ============================================
+// Reconnect Entries - shown while Seedr rejects the token
+// ============================================
+const RECONNECT_ID = "seedr:reconnect";
+
+function reconnectMeta(type, health, serverBaseUrl) {
+    const configureUrl = `${serverBaseUrl}/configure`;
+    return {
+        id: RECONNECT_ID,
+        type,
+        name: "⚠️ Reconnect Seedr",
+        poster: SEEDR_POSTER,
+        description: `${health.message || "Seedr rejected this addon's login."}\nOpen ${configureUrl} to connect your Seedr account again, then reinstall the addon.`,
+        releaseInfo: "Action needed",
+        website: configureUrl,
+        links: [{ name: "Reconnect Seedr", category: "Seedr", url: configureUrl }]
+    };
+}
+
+function reconnectStream(health, serverBaseUrl) {
+    return {
+        name: "Seedr",
+        title: `⚠️ Reconnect Seedr\n${health.message || "Seedr rejected this addon's login."}`,
+        externalUrl: `${serverBaseUrl}/configure`
+    };
+}
+
+// Only on the first page, so Stremio doesn't keep paging through the same item
+function reconnectCatalog(args, health, serverBaseUrl) {
+    const skip = parseInt((args.extra || {}).skip, 10) || 0;
+    return { metas: skip > 0 ? [] : [reconnectMeta(args.type, health, serverBaseUrl)] };
+}
+
+/**
+ * Split the pool into accounts that work and the health of those Seedr rejects
+ * @param {Array<Object>} pool - From accounts.getPool
+ * @returns {Promise<{healthy: Array<Object>, broken: Array<Object>}>} broken holds tokenHealth states,
+ *   with the account named in the message when several accounts are pooled
+ */
+async function checkPoolHealth(pool) {
+    const healthy = [];
+    const broken = [];
+
+    for (const account of pool) {
+        const health = await tokenHealth.checkTokenHealth(account.token);
+        if (health.status !== "broken") {
+            healthy.push(account);
+        } else {
+            broken.push(account.label ? { ...health, message: `${account.label}: ${health.message}` } : health);
+        }
+    }
+
+    return { healthy, broken };
+}
+
+/**
+ * Call Seedr for every account in the pool; accounts that fail are left out
+ * @param {Array<Object>} pool - From accounts.getPool
+ * @param {function(Object): Promise<*>} request - Called with each account
+ * @returns {Promise<Array<{account: Object, result: *}>>}
+ */
+async function mapAccounts(pool, request) {
+    const results = await Promise.all(pool.map(async account => {
+        try {
+            return { account, result: await request(account) };
+        } catch (error) {
+            console.error(`Error fetching from ${account.label || "Seedr"}:`, error.message);
+            tokenHealth.reportFailure(account.token, error);
+            return null;
+        }
+    }));
+    return results.filter(Boolean);
 }
 
 // ============================================
 // Catalog Handler - List Seedr Videos
 // ============================================
-async function catalogHandler(args) {
-    console.log("Catalog request:", args);
+async function catalogHandler(args, serverBaseUrl = "http://127.0.0.1:7000") {
+    console.log("Catalog request:", args.type, args.id);
 
     // Extract token from config
     const accessToken = args.config?.token;
@@ -67,28 +303,63 @@ async function catalogHandler(args) {
         return { metas: [] };
     }
 
-    // Handle "My Seedr Files" catalog
+    const pool = accounts.getPool(args.config);
+    const before = await checkPoolHealth(pool);
+    if (before.healthy.length === 0) {
+        return reconnectCatalog(args, before.broken[0], serverBaseUrl);
+    }
+
+    const result = await getCatalog(args, before.healthy);
+
+    // Accounts Seedr rejected (before or during this request) get a reconnect item on top
+    const { broken } = await checkPoolHealth(pool);
+    if (broken.length > 0) {
+        return { metas: [...reconnectCatalog(args, broken[0], serverBaseUrl).metas, ...result.metas] };
+    }
+    return result;
+}
+
+/**
+ * Catalog items merged from every working account in the pool
+ */
+async function getCatalog(args, pool) {
+    // Handle "My Seedr Files" catalog - browse the Seedr folder tree from root
     if (args.type === "other" && args.id === "seedr-files") {
         try {
-            const videos = await getCachedVideos(accessToken);
-            let filteredVideos = videos;
+            const extra = args.extra || {};
+
+            // Search and sorting/filtering span the whole library, flattened
+            if (extra.search || extra.genre) {
+                let videos = filterByFolderOption(await getPoolVideos(pool), extra.genre);
+
+                if (extra.search) {
+                    const query = extra.search.toLowerCase();
+                    videos = videos.filter(v => v.path.toLowerCase().includes(query));
+                }
 
-            // Handle search
-            if (args.extra && args.extra.search) {
-                const query = args.extra.search.toLowerCase();
-                filteredVideos = videos.filter(v => v.name.toLowerCase().includes(query));
+                const metas = paginate(sortVideos(videos, extra.genre), extra.skip).map(videoToMeta);
+
+                console.log("Returning", metas.length, "of", videos.length, "matching videos from Seedr");
+                return { metas };
             }
 
-            const metas = filteredVideos.map(video => ({
-                id: `seedr:${video.id}`,
-                type: "other",
-                name: video.name.replace(/\.[^/.]+$/, ""), // Remove file extension
-                poster: "https://www.seedr.cc/favicon.ico", // Seedr icon as placeholder
-                description: `📁 ${video.path}\n📦 Size: ${formatFileSize(video.size)}`,
-                releaseInfo: "Seedr Cloud"
-            }));
+            const roots = await mapAccounts(pool, account => seedrApi.getFolder(account.token, null));
+
+            const folderMetas = roots.flatMap(({ account, result: rootData }) =>
+                (rootData.folders || []).map(folder => folderToMeta(folder, account)));
+            const videoMetas = roots.flatMap(({ account, result: rootData }) => (rootData.files || [])
+                .filter(f => f.play_video)
+                .map(file => videoToMeta({
+                    id: file.folder_file_id.toString(),
+                    name: file.name,
+                    size: file.size,
+                    path: file.name,
+                    account
+                })));
 
-            console.log("Returning", metas.length, "videos from Seedr");
+            const metas = paginate([...folderMetas, ...videoMetas], extra.skip);
+
+            console.log("Returning", folderMetas.length, "folders and", videoMetas.length, "videos from", roots.length, "Seedr root(s)");
             return { metas };
         } catch (error) {
             console.error("Error fetching Seedr catalog:", error.message);
@@ -96,10 +367,81 @@ async function catalogHandler(args) {
         }
     }
 
+    // Handle "Seedr Movies" catalog - video files parsed as movies
+    if (args.type === "movie" && args.id === "seedr-movies") {
+        try {
+            const extra = args.extra || {};
+            let movies = filterByFolderOption(await getParsedVideos(pool), extra.genre)
+                .filter(v => v.release.type === "movie");
+
+            if (extra.search) {
+                const query = extra.search.toLowerCase();
+                movies = movies.filter(v => v.release.title.toLowerCase().includes(query));
+            }
+
+            const metas = paginate(sortVideos(movies, extra.genre), extra.skip).map(video => ({
+                id: itemId(video.account, video.id),
+                type: "movie",
+                name: video.release.title,
+                poster: SEEDR_POSTER,
+                description: [
+                    formatReleaseTags(video.release),
+                    `📁 ${video.path}`,
+                    `📦 Size: ${formatFileSize(video.size)}`,
+                    formatAccount(video.account)
+                ].filter(Boolean).join("\n"),
+                releaseInfo: video.release.year ? String(video.release.year) : "Seedr Cloud"
+            }));
+
+            console.log("Returning", metas.length, "movies from Seedr");
+            return { metas };
+        } catch (error) {
+            console.error("Error fetching Seedr movies:", error.message);
+            return { metas: [] };
+        }
+    }
+
+    // Handle "Seedr Series" catalog - episode files grouped by show
+    if (args.type === "series" && args.id === "seedr-series") {
+        try {
+            const extra = args.extra || {};
+            const series = groupSeries(filterByFolderOption(await getParsedVideos(pool), extra.genre));
+            let entries = [...series.entries()];
+
+            if (extra.search) {
+                const query = extra.search.toLowerCase();
+                entries = entries.filter(([, show]) => show.title.toLowerCase().includes(query));
+            }
+
+            // Sort shows by their newest episode / total size / title
+            entries = sortItems(entries, extra.genre, {
+                name: ([, show]) => show.title,
+                date: ([, show]) => Math.max(...show.episodes.map(v => parseSeedrDate(v.updatedAt))),
+                size: ([, show]) => show.episodes.reduce((total, v) => total + (v.size || 0), 0)
+            });
+
+            const metas = paginate(entries, extra.skip).map(([slug, show]) => ({
+                id: `seedr:series:${slug}`,
+                type: "series",
+                name: show.title,
+                poster: SEEDR_POSTER,
+                description: `🎞️ ${show.episodes.length} episode(s) in Seedr`,
+                releaseInfo: show.year ? String(show.year) : "Seedr Cloud"
+            }));
+
+            console.log("Returning", metas.length, "series from Seedr");
+            return { metas };
+        } catch (error) {
+            console.error("Error fetching Seedr series:", error.message);
+            return { metas: [] };
+        }
+    }
+
     // Handle "Seedr Downloads" catalog - shows active transfers
     if (args.type === "other" && args.id === "seedr-downloads") {
         try {
-            const transfers = await seedrApi.getActiveTransfers(accessToken);
+            const transfers = (await mapAccounts(pool, account => seedrApi.getActiveTransfers(account.token)))
+                .flatMap(({ account, result }) => result.map(transfer => ({ ...transfer, account })));
 
             const metas = transfers.map(transfer => {
                 const progress = transfer.progress || 0;
@@ -107,11 +449,15 @@ async function catalogHandler(args) {
                 const statusText = progress >= 100 ? "Complete" : `${progress}%`;
 
                 return {
-                    id: `seedr:transfer:${transfer.id}`,
+                    id: itemId(transfer.account, `transfer:${transfer.id}`),
                     type: "other",
                     name: transfer.name,
                     poster: "https://www.seedr.cc/favicon.ico",
-                    description: `${statusIcon} ${statusText}\n📦 Size: ${formatFileSize(transfer.size || 0)}`,
+                    description: [
+                        `${statusIcon} ${statusText}`,
+                        `📦 Size: ${formatFileSize(transfer.size || 0)}`,
+                        formatAccount(transfer.account)
+                    ].filter(Boolean).join("\n"),
                     releaseInfo: statusText
                 };
             });
@@ -127,11 +473,253 @@ async function catalogHandler(args) {
     return { metas: [] };
 }
 
+// ============================================
+// Meta Handler - Seedr File, Folder and Transfer Details
+// ============================================
+async function metaHandler(args, serverBaseUrl = "http://127.0.0.1:7000") {
+    console.log("Meta request:", args.type, args.id);
+
+    // Extract token from config
+    const accessToken = args.config?.token;
+
+    if (!accessToken || !args.id.startsWith("seedr:")) {
+        return { meta: null };
+    }
+
+    const pool = accounts.getPool(args.config);
+
+    if (args.id === RECONNECT_ID) {
+        const { broken } = await checkPoolHealth(pool);
+        return { meta: reconnectMeta(args.type, broken[0] || {}, serverBaseUrl) };
+    }
+
+    // Items from other accounts in the pool carry their account tag
+    const item = accounts.splitItemId(pool, args.id.replace("seedr:", ""));
+    if (!item) {
+        console.log("Item belongs to a Seedr account that is no longer linked:", args.id);
+        return { meta: null };
+    }
+    const { account, id: seedrId } = item;
+
+    try {
+        if (seedrId.startsWith("transfer:")) {
+            return { meta: await getTransferMeta(account, seedrId.replace("transfer:", "")) };
+        }
+
+        if (seedrId.startsWith("folder:")) {
+            return { meta: await getFolderMeta(account, seedrId.replace("folder:", "")) };
+        }
+
+        // Series are merged across the whole pool
+        if (seedrId.startsWith("series:")) {
+            return { meta: await getSeriesMeta(pool, seedrId.replace("series:", "")) };
+        }
+
+        if (args.type === "movie") {
+            return { meta: await getMovieMeta(account, seedrId) };
+        }
+
+        return { meta: await getFileMeta(account, seedrId) };
+    } catch (error) {
+        console.error("Error fetching Seedr meta:", error.message);
+        tokenHealth.reportFailure(account.token, error);
+        return { meta: null };
+    }
+}
+
+/**
+ * Build meta for a single Seedr video file, listing its sibling videos
+ */
+async function getFileMeta(account, fileId) {
+    const videos = await getPoolVideos([account]);
+    const video = videos.find(v => v.id === fileId);
+
+    if (!video) {
+        console.log("File not found in Seedr library:", fileId);
+        return null;
+    }
+
+    const folderPath = video.path.includes("/") ? video.path.substring(0, video.path.lastIndexOf("/")) : "/";
+    const siblings = videos.filter(v => v.folderId === video.folderId);
+
+    const meta = {
+        id: itemId(account, video.id),
+        type: "other",
+        name: stripExtension(video.name),
+        poster: SEEDR_POSTER,
+        posterShape: "landscape",
+        description: [
+            `📁 ${folderPath}`,
+            `📄 ${video.name}`,
+            `📦 Size: ${formatFileSize(video.size)}`,
+            formatAccount(account)
+        ].filter(Boolean).join("\n"),
+        releaseInfo: "Seedr Cloud",
+        behaviorHints: {
+            defaultVideoId: itemId(account, video.id)
+        }
+    };
+
+    // Only offer a video list when there is more than one file to choose from
+    if (siblings.length > 1) {
+        meta.videos = siblings.map(toMetaVideo);
+    }
+
+    return meta;
+}
+
+/**
+ * Build meta for a Seedr video file parsed as a movie
+ */
+async function getMovieMeta(account, fileId) {
+    const videos = await getParsedVideos([account]);
+    const video = videos.find(v => v.id === fileId);
+
+    if (!video) {
+        console.log("Movie not found in Seedr library:", fileId);
+        return null;
+    }
+
+    return {
+        id: itemId(account, video.id),
+        type: "movie",
+        name: video.release.title,
+        poster: SEEDR_POSTER,
+        description: [
+            formatReleaseTags(video.release),
+            `📄 ${video.name}`,
+            `📦 Size: ${formatFileSize(video.size)}`,
+            formatAccount(account)
+        ].filter(Boolean).join("\n"),
+        releaseInfo: video.release.year ? String(video.release.year) : "Seedr Cloud",
+        behaviorHints: {
+            defaultVideoId: itemId(account, video.id)
+        }
+    };
+}
+
+/**
+ * Build meta for a series grouped from parsed episode files
+ */
+async function getSeriesMeta(pool, slug) {
+    const show = groupSeries(await getParsedVideos(pool)).get(slug);
+
+    if (!show) {
+        console.log("Series not found in Seedr library:", slug);
+        return null;
+    }
+
+    const videos = show.episodes
+        .map(video => ({
+            ...toMetaVideo(video),
+            title: `S${pad(video.release.season)}E${pad(video.release.episode)} - ${stripExtension(video.name)}`,
+            season: video.release.season,
+            episode: video.release.episode
+        }))
+        .sort((a, b) => a.season - b.season || a.episode - b.episode);
+
+    const seasons = new Set(videos.map(v => v.season));
+
+    return {
+        id: `seedr:series:${slug}`,
+        type: "series",
+        name: show.title,
+        poster: SEEDR_POSTER,
+        description: `🎞️ ${videos.length} episode(s) across ${seasons.size} season(s) in Seedr`,
+        releaseInfo: show.year ? String(show.year) : "Seedr Cloud",
+        videos
+    };
+}
+
+/**
+ * Build meta for a Seedr folder, listing the videos it contains
+ */
+async function getFolderMeta(account, folderId) {
+    const folderData = await seedrApi.getFolder(account.token, folderId);
+
+    if (!folderData || folderData.result === false) {
+        console.log("Folder not found in Seedr:", folderId);
+        return null;
+    }
+
+    const files = (folderData.files || []).filter(f => f.play_video);
+    const subfolders = folderData.folders || [];
+
+    // Subfolders are not playable, so expose them as links to their own detail pages
+    const links = subfolders.map(folder => ({
+        name: `📂 ${folder.name}`,
+        category: "Folders",
+        url: `stremio:///detail/other/${itemId(account, `folder:${folder.id}`)}`
+    }));
+
+    if (folderData.parent && folderData.parent > 0) {
+        links.unshift({
+            name: "⬆️ Parent folder",
+            category: "Folders",
+            url: `stremio:///detail/other/${itemId(account, `folder:${folderData.parent}`)}`
+        });
+    }
+
+    return {
+        id: itemId(account, `folder:${folderId}`),
+        type: "other",
+        name: folderData.name || "Seedr Folder",
+        poster: SEEDR_POSTER,
+        posterShape: "landscape",
+        description: [
+            `📁 ${folderData.fullname || folderData.name || "/"}`,
+            `📦 Size: ${formatFileSize(folderData.size || 0)}`,
+            `🎬 ${files.length} video(s), 📂 ${subfolders.length} folder(s)`,
+            formatAccount(account)
+        ].filter(Boolean).join("\n"),
+        releaseInfo: "Seedr Cloud",
+        links,
+        videos: files.map(file => toMetaVideo({
+            id: file.folder_file_id.toString(),
+            name: file.name,
+            size: file.size,
+            updatedAt: file.last_update || null,
+            account
+        }))
+    };
+}
+
+/**
+ * Build meta for an active Seedr transfer with its current progress
+ */
+async function getTransferMeta(account, transferId) {
+    const transfers = await seedrApi.getActiveTransfers(account.token);
+    const transfer = transfers.find(t => String(t.id) === transferId);
+
+    if (!transfer) {
+        console.log("Transfer not found in Seedr:", transferId);
+        return null;
+    }
+
+    const progress = transfer.progress || 0;
+    const statusText = progress >= 100 ? "✅ Complete, processing in Seedr" : `🔽 Downloading ${progress}%`;
+
+    return {
+        id: itemId(account, `transfer:${transfer.id}`),
+        type: "other",
+        name: transfer.name,
+        poster: SEEDR_POSTER,
+        posterShape: "landscape",
+        description: [
+            statusText,
+            `📦 Size: ${formatFileSize(transfer.size || 0)}`,
+            formatAccount(account),
+            "Open \"My Seedr Files\" once the download completes to play it."
+        ].filter(Boolean).join("\n"),
+        releaseInfo: progress >= 100 ? "Complete" : `${progress}%`
+    };
+}
+
 // ============================================
 // Stream Handler - Get Streaming URL
 // ============================================
 async function streamHandler(args, serverBaseUrl = "http://127.0.0.1:7000") {
-    console.log("Stream request:", args);
+    console.log("Stream request:", args.type, args.id);
 
     // Extract token from config
     const accessToken = args.config?.token;
@@ -141,17 +729,35 @@ async function streamHandler(args, serverBaseUrl = "http://127.0.0.1:7000") {
         return { streams: [] };
     }
 
+    // Nothing below works until the user reconnects, so say so instead of returning nothing
+    const pool = accounts.getPool(args.config);
+    const { healthy, broken } = await checkPoolHealth(pool);
+    if (healthy.length === 0 || args.id === RECONNECT_ID) {
+        return { streams: [reconnectStream(broken[0] || {}, serverBaseUrl)] };
+    }
+
     // Check if this is a Seedr file ID (from catalog)
-    if (args.type === "other" && args.id.startsWith("seedr:")) {
-        const fileId = args.id.replace("seedr:", "");
+    if (args.id.startsWith("seedr:")) {
+        // Items from other accounts in the pool carry their account tag
+        const item = accounts.splitItemId(pool, args.id.replace("seedr:", ""));
+        if (!item) {
+            console.log("Item belongs to a Seedr account that is no longer linked:", args.id);
+            return { streams: [] };
+        }
+        const { account, id: fileId } = item;
 
-        // Skip transfer IDs (they're not playable directly)
-        if (fileId.startsWith("transfer:")) {
+        // Skip transfer and series IDs (they're not playable directly)
+        if (fileId.startsWith("transfer:") || fileId.startsWith("series:")) {
             return { streams: [] };
         }
 
+        // Folders offer one stream per video directly inside them
+        if (fileId.startsWith("folder:")) {
+            return { streams: await getFolderStreams(account.token, fileId.replace("folder:", "")) };
+        }
+
         try {
-            const streamData = await seedrApi.getStreamUrl(accessToken, fileId);
+            const streamData = await seedrApi.getStreamUrl(account.token, fileId);
 
             if (streamData && streamData.url) {
                 console.log("Returning stream URL for file:", streamData.name);
@@ -168,55 +774,91 @@ async function streamHandler(args, serverBaseUrl = "http://127.0.0.1:7000") {
             }
         } catch (error) {
             console.error("Error getting stream URL:", error.message);
+            if (tokenHealth.reportFailure(account.token, error)) {
+                return { streams: [reconnectStream((await checkPoolHealth([account])).broken[0], serverBaseUrl)] };
+            }
         }
 
         return { streams: [] };
     }
 
-    // Handle movie/series streams via Torrentio
+    // Handle movie/series streams via the configured torrent providers (Torrentio by default)
     const isSeries = args.type === "series" || args.id.includes(":");
 
     if ((args.type === "movie" || args.type === "series" || args.type === "tv" || args.type === "channel" || args.type === "anime") && args.id.startsWith("tt")) {
         try {
-            console.log(`Fetching Torrentio streams for ${args.type}: ${args.id}`);
+            const providers = streamProviders.getProviders(args.config);
+            console.log(`Fetching streams for ${args.type}: ${args.id} from ${providers.map(p => p.name).join(", ")}`);
 
-            let torrentStreams = [];
-            if (isSeries) {
-                torrentStreams = await torrentioApi.getSeriesStreams(args.id);
-            } else {
-                torrentStreams = await torrentioApi.getMovieStreams(args.id);
-            }
+            let torrentStreams = await streamProviders.fetchAllStreams(providers, isSeries ? "series" : "movie", args.id);
 
             if (!torrentStreams || torrentStreams.length === 0) {
-                console.log("No Torrentio streams found for:", args.id);
+                console.log("No torrent streams found for:", args.id);
                 return { streams: [] };
             }
 
-            console.log("Found", torrentStreams.length, "Torrentio streams");
+            console.log("Found", torrentStreams.length, "unique torrent streams");
+
+            // Compare sizes with each account's Seedr plan; anything bigger than every plan can never play.
+            // Dropped before ranking, so they don't use up the maxResults slots.
+            const accountInfos = await Promise.all(healthy.map(account => seedrApi.getCachedAccountInfo(account.token).catch(error => {
+                console.error("Error getting account info:", error.message);
+                return null;
+            })));
+            const fits = new Map(torrentStreams.map(stream => [stream, accounts.checkPoolFit(stream.sizeBytes, accountInfos)]));
+            torrentStreams = torrentStreams.filter(stream => fits.get(stream).fit !== "too-large");
 
-            // Sort by seeders (descending)
-            torrentStreams.sort((a, b) => (b.seeders || 0) - (a.seeders || 0));
+            // Filter and rank by the install's stream preferences
+            torrentStreams = streamRanking.rankStreams(torrentStreams, args.config.prefs);
+            console.log("Keeping", torrentStreams.length, "streams after applying preferences");
 
             // For series, filter/match specific episode if possible?
             // Torrentio already returns streams for the specific episode ID "tt:s:e" passed to it.
 
-            // Also check if we already have this content in Seedr
-            const existingVideos = await getCachedVideos(accessToken);
-
             const streams = [];
+            // Torrents already downloading (or just finished) go first
+            const inProgress = [];
+            const storagePolicy = (args.config.storage || eviction.DEFAULT_STORAGE).eviction;
 
             // Map Torrentio streams to Seedr download streams
             for (const stream of torrentStreams) {
                 // Build the resolve URL that will handle downloading and streaming
                 const resolveParams = new URLSearchParams({
                     name: stream.filename || stream.title,
+                    title: stream.title,
                     trackers: stream.trackers.join(","),
-                    fileIdx: stream.fileIdx.toString()
+                    fileIdx: stream.fileIdx.toString(),
+                    size: String(stream.sizeBytes || 0),
+                    imdbId: args.id
                 });
+                if (stream.filename) {
+                    resolveParams.set("filename", stream.filename);
+                }
 
-                const resolveUrl = `${serverBaseUrl}/${encodeURIComponent(accessToken)}/resolve/${stream.infoHash}?${resolveParams.toString()}`;
+                const resolveUrl = `${serverBaseUrl}/${addonConfig.encodeConfig(args.config)}/resolve/${stream.infoHash}?${resolveParams.toString()}`;
 
-                const streamTitle = torrentioApi.formatStreamTitle(stream);
+                const { fit, index } = fits.get(stream);
+                const streamTitle = [torrentioApi.formatStreamTitle(stream), formatStorageFit(fit, stream.sizeBytes, accountInfos[index], storagePolicy)]
+                    .filter(Boolean).join("\n");
+
+                // Resolve doesn't block while downloading, so tell the user to come back
+                const job = healthy.map(account => resolver.getResolveJob(account.token, stream.infoHash))
+                    .find(j => j && j.phase !== "failed");
+                if (job) {
+                    const status = job.phase === "ready"
+                        ? "✅ Downloaded - play to start"
+                        : `⏳ ${job.message} - play again when ready`;
+
+                    inProgress.push({
+                        url: resolveUrl,
+                        title: `${status}\n${streamTitle}`,
+                        name: "Seedr",
+                        behaviorHints: {
+                            notWebReady: true
+                        }
+                    });
+                    continue;
+                }
 
                 streams.push({
                     url: resolveUrl,
@@ -227,38 +869,38 @@ async function streamHandler(args, serverBaseUrl = "http://127.0.0.1:7000") {
                     }
                 });
             }
+            streams.unshift(...inProgress);
+
+            // Offer files already downloaded for this exact IMDb ID (and episode for series), from any account
+            const readyFiles = healthy.flatMap(account => torrentIndex.findFilesByImdb(account.token, args.id)
+                .map(file => ({ ...file, account })));
 
-            // Check if any matching file already exists in Seedr (by filename similarity)
-            for (const video of existingVideos) {
-                const videoNameLower = video.name.toLowerCase();
-                // Check if this video might match the movie/episode
-                for (const stream of torrentStreams) {
-                    const streamNameLower = (stream.filename || stream.title).toLowerCase();
-                    // Simple matching - could be improved
-                    // For series, we might need stricter matching (SxxExx)
-                    if (videoNameLower.includes(args.id.replace("tt", "")) ||
-                        streamNameLower.includes(videoNameLower.replace(/\.[^/.]+$/, ""))) {
-
-                        try {
-                            const streamData = await seedrApi.getStreamUrl(accessToken, video.id);
-                            if (streamData && streamData.url) {
-                                streams.unshift({
-                                    url: streamData.url,
-                                    title: `✅ Ready | ${video.name}`,
-                                    name: "Seedr",
-                                    behaviorHints: {
-                                        notWebReady: false
-                                    }
-                                });
-                                break;
+            for (const file of readyFiles) {
+                try {
+                    // Stream URLs are signed for the account that holds the file
+                    const streamData = await seedrApi.getStreamUrl(file.account.token, file.fileId);
+                    if (streamData && streamData.url) {
+                        streams.unshift({
+                            url: streamData.url,
+                            title: [`✅ Ready | ${streamData.name || file.name}`, formatAccount(file.account)].filter(Boolean).join("\n"),
+                            name: "Seedr",
+                            behaviorHints: {
+                                notWebReady: false
                             }
-                        } catch (e) {
-                            // Ignore errors
-                        }
+                        });
+                    } else {
+                        console.log("Indexed file no longer available in Seedr:", file.fileId);
                     }
+                } catch (e) {
+                    // Ignore errors
                 }
             }
 
+            // Some accounts in the pool need reconnecting
+            if (broken.length > 0) {
+                streams.push(reconnectStream(broken[0], serverBaseUrl));
+            }
+
             return { streams };
         } catch (error) {
             console.error("Error handling movie/series stream:", error.message);
@@ -269,9 +911,263 @@ async function streamHandler(args, serverBaseUrl = "http://127.0.0.1:7000") {
     return { streams: [] };
 }
 
+// ============================================
+// Subtitles Handler - Subtitle Files Shipped With The Torrent
+// ============================================
+async function subtitlesHandler(args, serverBaseUrl = "http://127.0.0.1:7000") {
+    console.log("Subtitles request:", args.type, args.id);
+
+    // Extract token from config
+    const accessToken = args.config?.token;
+
+    if (!accessToken) {
+        console.log("No access token provided");
+        return { subtitles: [] };
+    }
+
+    const pool = accounts.getPool(args.config);
+
+    try {
+        // Work out which Seedr file is being played, and in which account
+        let files = [];
+        if (args.id.startsWith("seedr:")) {
+            const item = accounts.splitItemId(pool, args.id.replace("seedr:", ""));
+            if (item && /^\d+$/.test(item.id)) {
+                files = [{ fileId: item.id, account: item.account }];
+            }
+        } else if (args.id.startsWith("tt")) {
+            files = pool.flatMap(account => torrentIndex.findFilesByImdb(account.token, args.id)
+                .map(f => ({ fileId: f.fileId, account })));
+        }
+
+        if (files.length === 0) {
+            return { subtitles: [] };
+        }
+
+        const result = [];
+        const seen = new Set();
+
+        for (const { fileId, account } of files) {
+            const videos = await getCachedVideos(account.token);
+            const video = videos.find(v => v.id === fileId);
+            if (!video) continue;
+
+            const found = await subtitles.findSubtitles(account.token, video.folderId, video.name);
+            for (const subtitle of found) {
+                if (seen.has(subtitle.fileId)) continue;
+                seen.add(subtitle.fileId);
+
+                // The subtitle route fetches with the primary account unless told otherwise
+                const query = account.prefix ? `?account=${account.tag}` : "";
+                result.push({
+                    id: `seedr:subtitle:${subtitle.fileId}`,
+                    url: `${serverBaseUrl}/${addonConfig.encodeConfig(args.config)}/subtitle/${subtitle.fileId}.vtt${query}`,
+                    lang: subtitle.lang
+                });
+            }
+        }
+
+        console.log("Returning", result.length, "subtitles from Seedr");
+        return { subtitles: result };
+    } catch (error) {
+        console.error("Error fetching Seedr subtitles:", error.message);
+        return { subtitles: [] };
+    }
+}
+
+/**
+ * Get stream entries for every video directly inside a Seedr folder
+ */
+async function getFolderStreams(accessToken, folderId) {
+    try {
+        const folderData = await seedrApi.getFolder(accessToken, folderId);
+        const files = (folderData.files || []).filter(f => f.play_video);
+        const streams = [];
+
+        for (const file of files) {
+            const streamData = await seedrApi.getStreamUrl(accessToken, file.folder_file_id);
+            if (streamData && streamData.url) {
+                streams.push({
+                    url: streamData.url,
+                    title: `🎬 ${file.name}\n📦 ${formatFileSize(file.size || 0)}`,
+                    name: "Seedr"
+                });
+            }
+        }
+
+        console.log("Returning", streams.length, "stream URLs for folder:", folderId);
+        return streams;
+    } catch (error) {
+        console.error("Error getting folder streams:", error.message);
+        tokenHealth.reportFailure(accessToken, error);
+        return [];
+    }
+}
+
 // ============================================
 // Helper Functions
 // ============================================
+function stripExtension(filename) {
+    return filename.replace(/\.[^/.]+$/, "");
+}
+
+/**
+ * Stremio ID for an item in one of the pool's accounts (see accounts.getPool)
+ */
+function itemId(account, id) {
+    return `seedr:${account ? account.prefix : ""}${id}`;
+}
+
+/**
+ * Description line naming the account an item lives in, when several are pooled
+ */
+function formatAccount(account) {
+    return account && account.label ? `👤 ${account.label}` : null;
+}
+
+/**
+ * Convert a Seedr video entry into a catalog meta preview
+ */
+function videoToMeta(video) {
+    return {
+        id: itemId(video.account, video.id),
+        type: "other",
+        name: stripExtension(video.name),
+        poster: SEEDR_POSTER,
+        description: [`📁 ${video.path}`, `📦 Size: ${formatFileSize(video.size)}`, formatAccount(video.account)]
+            .filter(Boolean).join("\n"),
+        releaseInfo: "Seedr Cloud"
+    };
+}
+
+/**
+ * Convert a Seedr folder listing entry into a catalog meta preview
+ */
+function folderToMeta(folder, account) {
+    return {
+        id: itemId(account, `folder:${folder.id}`),
+        type: "other",
+        name: folder.name,
+        poster: SEEDR_POSTER,
+        description: [`📂 Folder`, `📦 Size: ${formatFileSize(folder.size || 0)}`, formatAccount(account)]
+            .filter(Boolean).join("\n"),
+        releaseInfo: "Seedr Folder"
+    };
+}
+
+/**
+ * Convert a Seedr video entry into a Stremio meta video object
+ */
+function toMetaVideo(video) {
+    const metaVideo = {
+        id: itemId(video.account, video.id),
+        title: stripExtension(video.name),
+        overview: `📦 Size: ${formatFileSize(video.size || 0)}`
+    };
+
+    if (video.updatedAt) {
+        const released = new Date(video.updatedAt);
+        if (!isNaN(released.getTime())) {
+            metaVideo.released = released.toISOString();
+        }
+    }
+
+    return metaVideo;
+}
+
+function getTopLevelFolder(path) {
+    const segments = path.split("/");
+    // Look through the per-infoHash folder that resolve downloads into
+    if (segments.length > 1 && seedrApi.isTorrentFolderName(segments[0])) {
+        segments.shift();
+    }
+    return segments.length > 1 ? segments[0] : null;
+}
+
+/**
+ * Parse a Seedr timestamp ("2024-01-31 18:22:05") into milliseconds, 0 if unknown
+ */
+function parseSeedrDate(value) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Keep only videos inside the top-level folder selected through the genre extra
+ */
+function filterByFolderOption(videos, genre) {
+    if (!genre || !genre.startsWith(FOLDER_OPTION_PREFIX)) {
+        return videos;
+    }
+
+    const folderName = genre.substring(FOLDER_OPTION_PREFIX.length);
+    return videos.filter(v => getTopLevelFolder(v.path) === folderName);
+}
+
+/**
+ * Sort catalog items by the order selected through the genre extra (default: newest first)
+ * @param {Array} items - Items to sort (not modified)
+ * @param {string} genre - Selected genre option
+ * @param {{name: Function, date: Function, size: Function}} accessors - Sort key getters
+ * @returns {Array}
+ */
+function sortItems(items, genre, accessors) {
+    const sorted = [...items];
+
+    if (genre === "Name") {
+        sorted.sort((a, b) => accessors.name(a).localeCompare(accessors.name(b)));
+    } else if (genre === "Largest") {
+        sorted.sort((a, b) => accessors.size(b) - accessors.size(a));
+    } else {
+        sorted.sort((a, b) => accessors.date(b) - accessors.date(a));
+    }
+
+    return sorted;
+}
+
+function sortVideos(videos, genre) {
+    return sortItems(videos, genre, {
+        name: v => v.name,
+        date: v => parseSeedrDate(v.updatedAt),
+        size: v => v.size || 0
+    });
+}
+
+/**
+ * Return one page of catalog items starting at the skip extra
+ */
+function paginate(items, skip) {
+    const start = parseInt(skip, 10) || 0;
+    return items.slice(start, start + PAGE_SIZE);
+}
+
+function pad(number) {
+    return String(number).padStart(2, "0");
+}
+
+/**
+ * Format parsed release tags for descriptions (e.g. "1080p • BluRay • x265")
+ */
+function formatReleaseTags(release) {
+    return [release.resolution, release.source, release.codec].filter(Boolean).join(" • ");
+}
+
+/**
+ * Describe whether a stream fits in the Seedr account (empty when unknown)
+ */
+function formatStorageFit(fit, sizeBytes, account, policy) {
+    if (fit === "fits") {
+        return `💾 Fits (${formatFileSize(account.remaining_space)} free)`;
+    }
+    if (fit === "needs-eviction") {
+        const missing = formatFileSize(sizeBytes - (account.remaining_space || 0));
+        return policy === "never"
+            ? `⚠️ Needs ${missing} more space in Seedr`
+            : `🧹 Needs ${missing} - older downloads will be removed`;
+    }
+    return "";
+}
+
 function formatFileSize(bytes) {
     if (bytes === 0) return "0 Bytes";
     const k = 1024;
@@ -283,6 +1179,9 @@ function formatFileSize(bytes) {
 // Export manifest and handlers for server.js
 module.exports = {
     manifest,
+    getManifest,
     catalogHandler,
-    streamHandler
+    metaHandler,
+    streamHandler,
+    subtitlesHandler
 };
@@ -0,0 +1,126 @@
+// ============================================
+// Addon URL Config
+// ============================================
+// The first path segment of every addon URL carries the install's config:
+// a base64url encoded JSON object { install, prefs, torrentio, sources, storage }.
+// "install" is an opaque ID that stands for the install's Seedr tokens (see installs.js).
+// Older installs carry the token itself, either raw or as "token" in the object.
+const torrentioApi = require("./torrentioApi");
+const streamProviders = require("./streamProviders");
+const eviction = require("./eviction");
+const installs = require("./installs");
+
+// Stream filtering and ranking defaults (everything allowed, nothing trimmed)
+const DEFAULT_PREFERENCES = {
+    resolutions: ["2160p", "1440p", "1080p", "720p", "480p"],
+    maxSizeGB: 0, // 0 = no limit
+    hdr: "any", // any | prefer | avoid | exclude
+    excludeKeywords: [],
+    audioLanguage: "", // ISO 639-2 code, e.g. "ita"
+    maxResults: 0 // 0 = no limit
+};
+
+const HDR_OPTIONS = ["any", "prefer", "avoid", "exclude"];
+
+/**
+ * Validate user preferences, falling back to defaults for anything missing or invalid
+ * @param {Object} raw - Preferences as decoded from the URL
+ * @returns {typeof DEFAULT_PREFERENCES}
+ */
+function normalizePreferences(raw = {}) {
+    if (!raw || typeof raw !== "object") raw = {};
+    const prefs = { ...DEFAULT_PREFERENCES };
+
+    if (Array.isArray(raw.resolutions)) {
+        const allowed = raw.resolutions.filter(r => DEFAULT_PREFERENCES.resolutions.includes(r));
+        if (allowed.length > 0) prefs.resolutions = allowed;
+    }
+
+    const maxSizeGB = parseFloat(raw.maxSizeGB);
+    if (maxSizeGB > 0) prefs.maxSizeGB = maxSizeGB;
+
+    if (HDR_OPTIONS.includes(raw.hdr)) prefs.hdr = raw.hdr;
+
+    if (Array.isArray(raw.excludeKeywords)) {
+        prefs.excludeKeywords = raw.excludeKeywords
+            .map(k => String(k).trim())
+            .filter(Boolean);
+    }
+
+    if (typeof raw.audioLanguage === "string" && /^[a-z]{3}$/i.test(raw.audioLanguage)) {
+        prefs.audioLanguage = raw.audioLanguage.toLowerCase();
+    }
+
+    const maxResults = parseInt(raw.maxResults, 10);
+    if (maxResults > 0) prefs.maxResults = maxResults;
+
+    return prefs;
+}
+
+/**
+ * Decode the config path segment of an addon URL
+ * @param {string} segment - First path segment (raw token or encoded config)
+ * @returns {{token: string, tokens: Array<string>, install: string|null, revoked: boolean, unknownInstall: boolean, prefs: typeof DEFAULT_PREFERENCES, torrentio: Object, sources: Object, storage: Object}}
+ *   token is the primary account, tokens the whole account pool;
+ *   token is "" when the install ID was revoked (revoked) or isn't known to this server (unknownInstall)
+ */
+function parseConfig(segment) {
+    const value = decodeURIComponent(segment || "");
+
+    try {
+        const decoded = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+        const hasInstall = decoded && typeof decoded.install === "string";
+        if (hasInstall || (decoded && typeof decoded.token === "string")) {
+            const install = hasInstall ? installs.getInstall(decoded.install) : { status: "active", tokens: [decoded.token] };
+            const tokens = install.tokens;
+            return {
+                token: tokens ? tokens[0] : "",
+                tokens: tokens || [],
+                install: hasInstall ? decoded.install : null,
+                revoked: install.status === "revoked",
+                unknownInstall: install.status === "unknown",
+                prefs: normalizePreferences(decoded.prefs),
+                torrentio: torrentioApi.normalizeOptions(decoded.torrentio),
+                sources: streamProviders.normalizeSources(decoded.sources),
+                storage: eviction.normalizeStorage(decoded.storage)
+            };
+        }
+    } catch (error) {
+        // Not an encoded config - treat as a raw token below
+    }
+
+    return {
+        token: value,
+        tokens: [value],
+        install: null,
+        revoked: false,
+        unknownInstall: false,
+        prefs: normalizePreferences(),
+        torrentio: torrentioApi.normalizeOptions(),
+        sources: streamProviders.normalizeSources(),
+        storage: eviction.normalizeStorage()
+    };
+}
+
+/**
+ * Encode a config into an addon URL path segment
+ * Installs with an install ID never put the token in the URL.
+ * @param {{token?: string, install?: string, prefs?: Object, torrentio?: Object, sources?: Object, storage?: Object}} config
+ * @returns {string}
+ */
+function encodeConfig(config) {
+    return Buffer.from(JSON.stringify({
+        ...(config.install ? { install: config.install } : { token: config.token }),
+        prefs: normalizePreferences(config.prefs),
+        torrentio: torrentioApi.normalizeOptions(config.torrentio),
+        sources: streamProviders.normalizeSources(config.sources),
+        storage: eviction.normalizeStorage(config.storage)
+    })).toString("base64url");
+}
+
+module.exports = {
+    DEFAULT_PREFERENCES,
+    normalizePreferences,
+    parseConfig,
+    encodeConfig
+};
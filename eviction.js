@@ -0,0 +1,166 @@
+const seedrApi = require("./seedrApi");
+const torrentIndex = require("./torrentIndex");
+const jobManager = require("./jobManager");
+
+// ============================================
+// Eviction - free Seedr space for a new torrent
+// ============================================
+// Only folders the addon created (one per infoHash, see seedrApi.torrentFolderName) and
+// recorded in the torrent index are ever deleted; pinned torrents and torrents a resolve
+// job is still working on are skipped. Policies:
+//   never     - don't delete anything, the add fails
+//   lru       - least recently played first
+//   oldest    - least recently added first
+//   clear-all - delete everything in the account (the old behaviour)
+const EVICTION_POLICIES = ["never", "lru", "oldest", "clear-all"];
+const DEFAULT_STORAGE = {
+    eviction: "lru"
+};
+
+/**
+ * Validate per-install storage settings
+ * @param {Object} raw - Storage settings as decoded from the addon config
+ * @returns {{eviction: string}}
+ */
+function normalizeStorage(raw = {}) {
+    if (!raw || typeof raw !== "object") raw = {};
+
+    return {
+        eviction: EVICTION_POLICIES.includes(raw.eviction) ? raw.eviction : DEFAULT_STORAGE.eviction
+    };
+}
+
+/**
+ * Check whether a torrent fits in the account
+ * @param {number} sizeBytes - Torrent size (0 = unknown)
+ * @param {{storage_limit?: number, remaining_space?: number}} account - From getAccountInfo
+ * @returns {"fits"|"needs-eviction"|"too-large"|"unknown"}
+ */
+function checkFit(sizeBytes, account) {
+    if (!sizeBytes || !account || !account.storage_limit) return "unknown";
+    if (sizeBytes > account.storage_limit) return "too-large";
+    if (sizeBytes > (account.remaining_space || 0)) return "needs-eviction";
+    return "fits";
+}
+
+/**
+ * Addon-created folders and transfers that may be deleted, in eviction order
+ */
+function getCandidates(accessToken, folderData, policy, protectedHash) {
+    const candidates = [];
+    // Only torrents the index knows this addon added, that aren't pinned or still being resolved
+    const isEvictable = infoHash => {
+        if (infoHash === protectedHash) return false;
+        const entry = torrentIndex.getByInfoHash(accessToken, infoHash);
+        if (!entry || entry.pinned) return false;
+        // Same key as resolver.jobKey (the resolver requires this module, so it is built here)
+        const job = jobManager.getJob(`${torrentIndex.accountKey(accessToken)}:${infoHash}`);
+        return !(job && !jobManager.isFinished(job));
+    };
+    const sortTime = (infoHash, fallback) => {
+        const entry = torrentIndex.getByInfoHash(accessToken, infoHash) || {};
+        const added = entry.addedAt || fallback;
+        return policy === "lru" ? (entry.lastPlayedAt || added) : added;
+    };
+
+    for (const folder of folderData.folders || []) {
+        if (seedrApi.isTorrentFolderName(folder.name) && isEvictable(folder.name)) {
+            candidates.push({
+                type: "folder",
+                id: folder.id,
+                infoHash: folder.name,
+                name: folder.name,
+                size: folder.size || 0,
+                time: sortTime(folder.name, Date.parse(folder.last_update) || 0)
+            });
+        }
+    }
+
+    // Transfers still downloading into one of our folders
+    for (const transfer of folderData.transfers || []) {
+        const infoHash = seedrApi.getTransferHash(transfer);
+        if (infoHash && isEvictable(infoHash)) {
+            candidates.push({
+                type: "transfer",
+                id: transfer.user_torrent_id || transfer.id,
+                infoHash,
+                name: transfer.name,
+                size: 0, // nothing stored yet, but frees a queue slot
+                time: sortTime(infoHash, 0)
+            });
+        }
+    }
+
+    return candidates.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Make room for a torrent according to the eviction policy
+ * @param {string} accessToken - The access token
+ * @param {{policy: string, reason: string, bytesNeeded?: number, protect?: string}} request
+ *   reason is "space" or "queue"; bytesNeeded is the new torrent's size, if known;
+ *   protect is the infoHash being added (never evicted)
+ * @returns {Promise<{freed: boolean, deleted: Array<{type: string, name: string, size: number}>}>}
+ */
+async function makeRoom(accessToken, { policy, reason, bytesNeeded = 0, protect = null }) {
+    const deleted = [];
+
+    if (policy === "never") {
+        console.log("🚫 Eviction policy is \"never\", not deleting anything");
+        return { freed: false, deleted };
+    }
+
+    if (policy === "clear-all") {
+        console.log("⚠️  Eviction policy is \"clear-all\", clearing Seedr account...");
+        const clearResult = await seedrApi.clearAccount(accessToken);
+        return { freed: !!clearResult.result, deleted };
+    }
+
+    const folderData = await seedrApi.getFolder(accessToken, null);
+    const candidates = getCandidates(accessToken, folderData, policy, protect ? protect.toLowerCase() : null);
+
+    // How many bytes to free (0 = unknown size, free one item and let the caller retry)
+    let toFree = 0;
+    if (reason === "space" && bytesNeeded > 0) {
+        const account = await seedrApi.getAccountInfo(accessToken);
+        toFree = bytesNeeded - (account.remaining_space || 0);
+    }
+
+    for (const candidate of candidates) {
+        // A full queue needs a transfer slot; lack of space needs stored bytes
+        if (reason === "queue" && candidate.type !== "transfer") continue;
+        if (reason === "space" && candidate.type !== "folder") continue;
+
+        console.log(`🗑️  Evicting ${candidate.type} ${candidate.name} (${policy}, ${(candidate.size / 1024 / 1024).toFixed(0)}MB)`);
+        try {
+            if (candidate.type === "folder") {
+                await seedrApi.deleteFolder(accessToken, candidate.id);
+            } else {
+                await seedrApi.deleteTorrent(accessToken, candidate.id);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to evict ${candidate.name}:`, error.message);
+            continue;
+        }
+
+        torrentIndex.removeTorrent(accessToken, candidate.infoHash);
+        deleted.push({ type: candidate.type, name: candidate.name, size: candidate.size });
+        toFree -= candidate.size;
+
+        if (toFree <= 0) break;
+    }
+
+    if (deleted.length === 0) {
+        console.log("🚫 Nothing the addon created is left to evict");
+    }
+
+    return { freed: deleted.length > 0, deleted };
+}
+
+module.exports = {
+    EVICTION_POLICIES,
+    DEFAULT_STORAGE,
+    normalizeStorage,
+    checkFit,
+    makeRoom
+};
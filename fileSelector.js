@@ -0,0 +1,101 @@
+const releaseParser = require("./releaseParser");
+
+// ============================================
+// File Selector - pick the requested video out of a multi-file torrent
+// ============================================
+const SAMPLE_PATTERN = /(^|[\s._\-/[(])(sample|trailer|extras?|featurettes?)([\s._\-/\])]|$)/i;
+
+/**
+ * Split a Stremio video ID into IMDb ID, season and episode
+ * @param {string} id - e.g. "tt0903747" or "tt0903747:1:2"
+ * @returns {{imdbId: string, season: number|null, episode: number|null}}
+ */
+function parseVideoId(id) {
+    const [imdbId, season, episode] = (id || "").split(":");
+    return {
+        imdbId,
+        season: season !== undefined ? parseInt(season, 10) : null,
+        episode: episode !== undefined ? parseInt(episode, 10) : null
+    };
+}
+
+function baseName(path) {
+    return (path || "").split("/").pop().toLowerCase();
+}
+
+/**
+ * Select the video to play from the files of one torrent
+ * Tries, in order: the exact filename hint, the requested SxxExx, the torrent's fileIdx,
+ * then the largest non-sample video for movies, or the only one for episodes.
+ * @param {Array<{id: string, name: string, path: string, size: number}>} videos - Video files of the torrent, paths relative to the Seedr root
+ * @param {{filename?: string, fileIdx?: number|string, season?: number|null, episode?: number|null}} hints
+ * @returns {{video: Object, reason: string}|null}
+ */
+function selectVideoFile(videos, hints = {}) {
+    if (!videos || videos.length === 0) {
+        return null;
+    }
+
+    const isEpisode = hints.episode !== null && hints.episode !== undefined;
+
+    // 1. Exact filename from the stream source
+    if (hints.filename) {
+        const wanted = baseName(hints.filename);
+        const exact = videos.find(v => baseName(v.path || v.name) === wanted);
+        if (exact) {
+            return { video: exact, reason: "filename" };
+        }
+    }
+
+    // 2. Requested episode by SxxExx in the file (or folder) name
+    if (isEpisode) {
+        const episodeMatches = videos.filter(v => {
+            const release = releaseParser.parseVideoPath(v.path || v.name);
+            const seasonMatches = release.season === null || hints.season === null || release.season === hints.season;
+            return seasonMatches && release.episodes.includes(hints.episode);
+        });
+
+        if (episodeMatches.length > 0) {
+            const video = episodeMatches.find(v => !SAMPLE_PATTERN.test(v.path || v.name)) || episodeMatches[0];
+            return { video, reason: "episode" };
+        }
+    }
+
+    // 3. fileIdx - torrents list their files by path, as Seedr does. Seedr only shows us the
+    // videos, so this is only reliable when the torrent has no other files; treat it as a hint.
+    const fileIdx = parseInt(hints.fileIdx, 10);
+    if (!isNaN(fileIdx) && fileIdx >= 0 && videos.length > 1) {
+        const ordered = [...videos].sort((a, b) => (a.path || a.name).localeCompare(b.path || b.name));
+        const indexed = ordered[fileIdx] || null;
+        const largestSize = Math.max(...videos.map(v => v.size || 0));
+        // Only trust it when it doesn't contradict the requested episode, or pick an extra over a movie
+        const plausible = indexed && !SAMPLE_PATTERN.test(indexed.path || indexed.name) && (isEpisode
+            ? releaseParser.parseVideoPath(indexed.path || indexed.name).episode === null
+            : (indexed.size || 0) >= largestSize / 2);
+        if (plausible) {
+            return { video: indexed, reason: "fileIdx" };
+        }
+    }
+
+    const candidates = videos.filter(v => !SAMPLE_PATTERN.test(v.path || v.name));
+
+    // 4. Movies: the main feature is the largest non-sample video
+    if (!isEpisode) {
+        const video = (candidates.length > 0 ? candidates : videos)
+            .reduce((largest, v) => ((v.size || 0) > (largest.size || 0) ? v : largest));
+        return { video, reason: "largest" };
+    }
+
+    // 5. Episodes: a torrent with a single video is that episode, unless its name says otherwise
+    // (daily shows and specials are often named by date rather than SxxExx)
+    if (candidates.length === 1 && releaseParser.parseVideoPath(candidates[0].path || candidates[0].name).episodes.length === 0) {
+        return { video: candidates[0], reason: "only" };
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseVideoId,
+    selectVideoFile
+};
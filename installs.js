@@ -0,0 +1,205 @@
+const crypto = require("crypto");
+const store = require("./store");
+const torrentIndex = require("./torrentIndex");
+
+// ============================================
+// Installs - opaque, revocable IDs that stand in for Seedr tokens in addon URLs
+// ============================================
+// Addon URLs end up in Stremio, proxy logs and shared screenshots, so they
+// carry an install ID instead of the token. An install can pool several Seedr
+// accounts; the first one is the primary.
+// Two kinds of ID:
+//   sealed - the tokens encrypted with INSTALL_SECRET ("s.<blob>"). Nothing to look up,
+//            so installs keep working when data/ is lost (e.g. on a redeploy).
+//   stored - a random ID mapped to the tokens in the store. Used when INSTALL_SECRET isn't set.
+// Revoked IDs of both kinds leave a tombstone, so "revoked" and "unknown" can be told apart.
+// A sealed ID stays valid for as long as INSTALL_SECRET does: revoking one only works while
+// its tombstone is kept, so revocation depends on data/ persisting. Losing data/ brings
+// revoked sealed IDs back; rotate INSTALL_SECRET to invalidate every sealed ID at once.
+const INSTALL_SECRET = process.env.INSTALL_SECRET || "";
+const SEALED_PREFIX = "s.";
+const installs = store.namespace("installs"); // never expires
+
+const sealKey = INSTALL_SECRET ? crypto.createHash("sha256").update(INSTALL_SECRET).digest() : null;
+if (!sealKey) {
+    console.warn("⚠️  INSTALL_SECRET not set - addon URLs only work while data/ is kept");
+}
+
+// Installs created before pooling hold a single "token"
+function tokensOf(install) {
+    return install.tokens || [install.token];
+}
+
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * Encrypt an install into a sealed ID (AES-256-GCM)
+ * @param {{id: string, tokens: Array<string>}} install - id is what a revocation tombstone is kept under
+ */
+function seal(install) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", sealKey, iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(install), "utf8"), cipher.final()]);
+    return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64url");
+}
+
+/**
+ * Decrypt a sealed ID
+ * @returns {{id: string, tokens: Array<string>}|null} null if it wasn't sealed with this server's secret
+ */
+function unseal(sealed) {
+    if (!sealKey) {
+        return null;
+    }
+
+    try {
+        const data = Buffer.from(sealed.slice(SEALED_PREFIX.length), "base64url");
+        const decipher = crypto.createDecipheriv("aes-256-gcm", sealKey, data.subarray(0, 12));
+        decipher.setAuthTag(data.subarray(12, 28));
+        const json = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString("utf8");
+        return JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+}
+
+function isSealed(id) {
+    return id.startsWith(SEALED_PREFIX);
+}
+
+/**
+ * Mark an install ID as revoked (the ID must be active)
+ */
+function writeTombstone(id) {
+    const tombstone = { revoked: true, revokedAt: Date.now() };
+    installs.set(isSealed(id) ? `revoked:${unseal(id).id}` : id, tombstone);
+}
+
+/**
+ * Register Seedr tokens and get a new install ID for them
+ * @param {string|Array<string>} accessTokens - Token(s), primary first
+ * @returns {string} Install ID
+ */
+function createInstall(accessTokens) {
+    const tokens = [].concat(accessTokens);
+
+    if (sealKey) {
+        console.log("🔑 Created sealed install");
+        return seal({ id: randomId(9), tokens });
+    }
+
+    const id = randomId(18);
+    installs.set(id, {
+        tokens,
+        account: torrentIndex.accountKey(tokens[0]),
+        createdAt: Date.now()
+    });
+    console.log("🔑 Created install", id.slice(0, 6) + "…");
+    return id;
+}
+
+/**
+ * Install ID for a token, reusing a stored one already registered for the same account
+ * Used to move older installs (raw token in the URL) to opaque URLs.
+ * @param {string} accessToken - The access token
+ * @returns {string} Install ID
+ */
+function getOrCreateInstall(accessToken) {
+    if (sealKey) {
+        return createInstall(accessToken);
+    }
+
+    const account = torrentIndex.accountKey(accessToken);
+    const existing = installs.entries().find(([, install]) => !install.revoked && install.account === account && tokensOf(install)[0] === accessToken);
+    return existing ? existing[0] : createInstall(accessToken);
+}
+
+/**
+ * Look up an install ID
+ * @param {string} id - Install ID
+ * @returns {{status: "active"|"revoked"|"unknown", tokens: Array<string>|null}}
+ *   "unknown" means this server never issued the ID, or lost it along with data/
+ */
+function getInstall(id) {
+    if (isSealed(id)) {
+        const install = unseal(id);
+        if (!install) {
+            return { status: "unknown", tokens: null };
+        }
+        return installs.get(`revoked:${install.id}`)
+            ? { status: "revoked", tokens: null }
+            : { status: "active", tokens: install.tokens };
+    }
+
+    const install = installs.get(id);
+    if (!install) {
+        return { status: "unknown", tokens: null };
+    }
+    return install.revoked
+        ? { status: "revoked", tokens: null }
+        : { status: "active", tokens: tokensOf(install) };
+}
+
+/**
+ * Add another Seedr account to an install's pool
+ * Sealed IDs can't change, so they are replaced by a new one holding every account,
+ * and the old ID is revoked.
+ * @param {string} id - Install ID
+ * @param {string} accessToken - Token of the account to add
+ * @returns {string|null} The install ID to use from now on, or null if the install isn't active
+ */
+function addAccount(id, accessToken) {
+    const { status, tokens } = getInstall(id);
+    if (status !== "active") {
+        return null;
+    }
+    if (tokens.includes(accessToken)) {
+        return id;
+    }
+
+    console.log(`🔑 Added Seedr account ${tokens.length + 1} to install`);
+    if (isSealed(id)) {
+        // The old ID would keep working with fewer accounts; retire it in favour of the new one
+        const replacement = createInstall([...tokens, accessToken]);
+        writeTombstone(id);
+        return replacement;
+    }
+    installs.set(id, { ...installs.get(id), tokens: [...tokens, accessToken] });
+    return id;
+}
+
+/**
+ * Look up the Seedr tokens behind an install ID
+ * @param {string} id - Install ID
+ * @returns {Array<string>|null} The tokens, primary first, or null if unknown or revoked
+ */
+function getInstallTokens(id) {
+    return getInstall(id).tokens;
+}
+
+/**
+ * Revoke an install ID; addon URLs using it stop working
+ * The tokens are dropped; a tombstone remembers that the ID was revoked.
+ * @param {string} id - Install ID
+ * @returns {boolean} Whether the install was active
+ */
+function revokeInstall(id) {
+    if (getInstall(id).status !== "active") {
+        return false;
+    }
+
+    writeTombstone(id);
+    console.log("🔒 Revoked install", id.slice(0, 6) + "…");
+    return true;
+}
+
+module.exports = {
+    createInstall,
+    getOrCreateInstall,
+    addAccount,
+    getInstall,
+    getInstallTokens,
+    revokeInstall
+};
@@ -0,0 +1,247 @@
+const { EventEmitter } = require("events");
+const store = require("./store");
+
+// ============================================
+// Job Manager - one background job per key, shared by any number of waiters
+// ============================================
+// A job moves through: adding -> downloading -> processing -> ready | failed.
+// It runs independently of the HTTP requests waiting on it, so it keeps going
+// when the player disconnects, and a later request simply picks it up again.
+const PHASES = ["adding", "downloading", "processing", "ready", "failed"];
+const FINISHED_JOB_TTL = 10 * 60 * 1000; // keep finished jobs around for 10 minutes
+
+const jobs = new Map();
+const completions = new Map(); // key -> Promise resolved when the job finishes
+// Snapshots of every job, kept across restarts as history
+const history = store.namespace("jobs", { ttl: 7 * 24 * 60 * 60 * 1000, maxEntries: 1000 });
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Error with an HTTP status, for failures the client should see as-is
+ */
+class JobError extends Error {
+    constructor(status, error, message) {
+        super(message);
+        this.status = status;
+        this.error = error;
+    }
+}
+
+function isFinished(job) {
+    return job.phase === "ready" || job.phase === "failed";
+}
+
+/**
+ * Apply a progress update to a job and notify listeners
+ * @param {Object} job
+ * @param {{phase?: string, progress?: number, speed?: number|null, eta?: number|null, message?: string}} update
+ */
+function updateJob(job, update) {
+    if (isFinished(job)) return;
+
+    if (update.phase && !PHASES.includes(update.phase)) {
+        throw new Error(`Unknown job phase: ${update.phase}`);
+    }
+
+    const phaseChanged = update.phase !== undefined && update.phase !== job.phase;
+    Object.assign(job, update, { updatedAt: Date.now() });
+    // Progress ticks stay in memory (live jobs are read from there); history is only
+    // written when the phase changes, so polling doesn't rewrite the state file every few seconds
+    if (phaseChanged) {
+        history.set(job.key, describeJob(job));
+    }
+    events.emit("update", job);
+}
+
+function finishJob(job, update) {
+    Object.assign(job, update, { updatedAt: Date.now() });
+    history.set(job.key, describeJob(job));
+    events.emit("update", job);
+
+    // Forget the job after a while, unless it was already replaced
+    setTimeout(() => {
+        if (jobs.get(job.key) === job) {
+            jobs.delete(job.key);
+            completions.delete(job.key);
+        }
+    }, FINISHED_JOB_TTL).unref();
+}
+
+/**
+ * Start a job, or return the existing one for the same key
+ * Failed jobs are replaced so the next request retries.
+ * @param {string} key - Unique job key
+ * @param {Object} details - Extra fields stored on the job (e.g. infoHash, name)
+ * @param {function(function(Object)): Promise<*>} run - Does the work; receives an update(fields) callback and resolves to the job result
+ * @returns {Object} The job
+ */
+function startJob(key, details, run) {
+    const existing = jobs.get(key);
+    if (existing && existing.phase !== "failed") {
+        return existing;
+    }
+
+    const job = {
+        key,
+        ...details,
+        phase: "adding",
+        progress: 0,
+        speed: null, // bytes per second
+        eta: null, // seconds
+        message: "Starting",
+        result: null,
+        error: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+    };
+    jobs.set(key, job);
+    history.set(key, describeJob(job));
+    console.log(`🧵 Job started: ${key}`);
+
+    const completion = (async () => {
+        try {
+            const result = await run(update => updateJob(job, update));
+            finishJob(job, { phase: "ready", progress: 100, speed: null, eta: null, message: "Ready", result });
+            console.log(`🧵 Job ready: ${key}`);
+        } catch (error) {
+            finishJob(job, {
+                phase: "failed",
+                speed: null,
+                eta: null,
+                message: error.message,
+                error: {
+                    status: error.status || 500,
+                    error: error.error || "Resolve failed",
+                    message: error.message
+                }
+            });
+            console.error(`🧵 Job failed: ${key} -`, error.message);
+        }
+        return job;
+    })();
+    completions.set(key, completion);
+
+    return job;
+}
+
+/**
+ * Get a job by key
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function getJob(key) {
+    return jobs.get(key) || null;
+}
+
+/**
+ * Drop a job so the next startJob begins from scratch
+ * @param {string} key
+ */
+function removeJob(key) {
+    jobs.delete(key);
+    completions.delete(key);
+}
+
+/**
+ * Wait until a job finishes, or until the timeout passes (the job keeps running either way)
+ * @param {Object} job
+ * @param {number} timeoutMs
+ * @returns {Promise<Object>} The job, in whatever phase it reached
+ */
+async function waitForJob(job, timeoutMs) {
+    const completion = completions.get(job.key);
+    if (isFinished(job) || !completion) {
+        return job;
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+    });
+
+    try {
+        await Promise.race([completion, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+    return job;
+}
+
+/**
+ * Public view of a job, for status endpoints
+ * @param {Object} job
+ * @returns {{infoHash: string, name: string|null, phase: string, progress: number, speed: number|null, eta: number|null, message: string, error: Object|null, createdAt: number, updatedAt: number}}
+ */
+function describeJob(job) {
+    return {
+        infoHash: job.infoHash || null,
+        name: job.name || null,
+        phase: job.phase,
+        progress: job.progress,
+        speed: job.speed,
+        eta: job.eta,
+        message: job.message,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+/**
+ * Latest known state of a job: the live job, or its saved snapshot from before a restart
+ * @param {string} key
+ * @returns {Object|null} describeJob output; "interrupted" is set when a restart cut the job short
+ */
+function getJobSnapshot(key) {
+    const job = jobs.get(key);
+    if (job) {
+        return describeJob(job);
+    }
+
+    const snapshot = history.get(key);
+    if (!snapshot) {
+        return null;
+    }
+    if (isFinished(snapshot)) {
+        return snapshot;
+    }
+    // The server restarted mid-job; nothing is running it any more
+    return { ...snapshot, interrupted: true, message: "Server restarted - play again to resume" };
+}
+
+/**
+ * Saved job snapshots whose key starts with a prefix, newest first
+ * @param {string} prefix
+ * @returns {Array<Object>}
+ */
+function listJobSnapshots(prefix) {
+    return history.entries()
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key]) => getJobSnapshot(key))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Subscribe to job updates
+ * @param {function(Object)} listener - Called with the job after every update
+ * @returns {function()} Unsubscribe
+ */
+function onJobUpdate(listener) {
+    events.on("update", listener);
+    return () => events.off("update", listener);
+}
+
+module.exports = {
+    PHASES,
+    JobError,
+    startJob,
+    getJob,
+    removeJob,
+    waitForJob,
+    isFinished,
+    describeJob,
+    getJobSnapshot,
+    listJobSnapshots,
+    onJobUpdate
+};
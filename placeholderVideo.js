@@ -0,0 +1,504 @@
+// ============================================
+// Placeholder Video - a short HLS stream showing resolve progress
+// ============================================
+// Players treat anything that isn't video as a failed stream, so while a torrent is
+// still downloading, resolve hands them this instead. It is generated here without
+// any encoder: H.264 (Baseline) frames made of uncompressed I_PCM macroblocks, followed
+// by "skip" frames that repeat them, muxed into MPEG-TS segments. Each segment is
+// rendered when requested, so the progress shown keeps up while the player plays.
+const WIDTH = 320;
+const HEIGHT = 176; // both multiples of 16 (macroblock size)
+const MB_COLS = WIDTH / 16;
+const MB_ROWS = HEIGHT / 16;
+const FPS = 2;
+const SEGMENT_SECONDS = 5;
+const SEGMENT_COUNT = 6; // 30 seconds, then the player stops and the user plays again
+const CLOCK = 90000; // MPEG-TS timestamps are in 90 kHz units
+
+// Colors as [Y, Cb, Cr]
+const BACKGROUND = [32, 128, 128];
+const TEXT = [235, 128, 128];
+const BAR_EMPTY = [64, 128, 128];
+const BAR_FILLED = [145, 54, 34]; // green
+
+// 5x7 bitmap font, one number per row (bit 4 = leftmost pixel)
+const FONT = {
+    "A": [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+    "B": [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+    "C": [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+    "D": [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+    "E": [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+    "F": [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+    "G": [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+    "H": [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+    "I": [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+    "J": [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+    "K": [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    "L": [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+    "M": [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+    "N": [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    "O": [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+    "P": [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+    "Q": [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+    "R": [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+    "S": [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+    "T": [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    "U": [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+    "V": [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+    "W": [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+    "X": [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+    "Y": [0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04],
+    "Z": [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+    "0": [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+    "1": [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+    "2": [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+    "3": [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+    "4": [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+    "5": [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+    "6": [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+    "7": [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    "8": [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+    "9": [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+    "%": [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+    ".": [0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c],
+    "-": [0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00],
+    ":": [0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x0c, 0x00],
+    "/": [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    "!": [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+    ",": [0x00, 0x00, 0x00, 0x00, 0x0c, 0x04, 0x08],
+    "(": [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ")": [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    "'": [0x0c, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00]
+};
+const FONT_SCALE = 2;
+const CHAR_WIDTH = 6 * FONT_SCALE; // 5 pixels + 1 spacing
+const LINE_HEIGHT = 10 * FONT_SCALE;
+const MAX_LINE_LENGTH = Math.floor((WIDTH - 16) / CHAR_WIDTH);
+
+// ============================================
+// Drawing
+// ============================================
+
+function createFrame() {
+    const frame = {
+        y: Buffer.alloc(WIDTH * HEIGHT, BACKGROUND[0]),
+        cb: Buffer.alloc(WIDTH * HEIGHT / 4, BACKGROUND[1]),
+        cr: Buffer.alloc(WIDTH * HEIGHT / 4, BACKGROUND[2])
+    };
+    return frame;
+}
+
+function fillRect(frame, x, y, width, height, [luma, cb, cr]) {
+    for (let row = y; row < y + height; row++) {
+        frame.y.fill(luma, row * WIDTH + x, row * WIDTH + x + width);
+    }
+    // Chroma is subsampled 2x2, so rectangles snap to even coordinates
+    for (let row = y >> 1; row < (y + height) >> 1; row++) {
+        frame.cb.fill(cb, row * WIDTH / 2 + (x >> 1), row * WIDTH / 2 + ((x + width) >> 1));
+        frame.cr.fill(cr, row * WIDTH / 2 + (x >> 1), row * WIDTH / 2 + ((x + width) >> 1));
+    }
+}
+
+function drawText(frame, text, top) {
+    const left = Math.max(0, Math.floor((WIDTH - text.length * CHAR_WIDTH) / 2));
+
+    [...text].forEach((char, index) => {
+        const glyph = FONT[char];
+        if (!glyph) return; // spaces and unsupported characters stay blank
+
+        glyph.forEach((bits, row) => {
+            for (let col = 0; col < 5; col++) {
+                if (bits & (0x10 >> col)) {
+                    for (let dy = 0; dy < FONT_SCALE; dy++) {
+                        const offset = (top + row * FONT_SCALE + dy) * WIDTH + left + index * CHAR_WIDTH + col * FONT_SCALE;
+                        frame.y.fill(TEXT[0], offset, offset + FONT_SCALE);
+                    }
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Split text into lines that fit the frame
+ */
+function wrapText(text) {
+    const lines = [];
+    let line = "";
+    for (const word of text.toUpperCase().split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length > MAX_LINE_LENGTH && line) {
+            lines.push(line);
+            line = word.slice(0, MAX_LINE_LENGTH);
+        } else {
+            line = candidate.slice(0, MAX_LINE_LENGTH);
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Draw a status screen: a heading, a progress bar and some lines of text
+ * @param {{title: string, progress: number|null, lines: Array<string>}} status - progress in percent
+ */
+function renderFrame({ title, progress = null, lines = [] }) {
+    const frame = createFrame();
+    const textLines = [...wrapText(title)];
+    let top = 16;
+
+    for (const line of textLines) {
+        drawText(frame, line, top);
+        top += LINE_HEIGHT;
+    }
+
+    if (progress !== null) {
+        const barWidth = WIDTH - 64;
+        const filled = Math.round(barWidth * Math.min(100, Math.max(0, progress)) / 100) & ~1;
+        top += 4;
+        fillRect(frame, 32, top, barWidth, 12, BAR_EMPTY);
+        fillRect(frame, 32, top, filled, 12, BAR_FILLED);
+        top += 24;
+    }
+
+    for (const line of lines.flatMap(wrapText)) {
+        if (top + LINE_HEIGHT > HEIGHT) break;
+        drawText(frame, line, top);
+        top += LINE_HEIGHT;
+    }
+
+    return frame;
+}
+
+// ============================================
+// H.264 Encoding
+// ============================================
+
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.current = 0;
+        this.bits = 0;
+    }
+
+    u(count, value) {
+        for (let bit = count - 1; bit >= 0; bit--) {
+            this.current = (this.current << 1) | ((value >>> bit) & 1);
+            if (++this.bits === 8) {
+                this.bytes.push(this.current);
+                this.current = 0;
+                this.bits = 0;
+            }
+        }
+    }
+
+    // Exp-Golomb codes
+    ue(value) {
+        const length = Math.floor(Math.log2(value + 1));
+        this.u(length, 0);
+        this.u(length + 1, value + 1);
+    }
+
+    se(value) {
+        this.ue(value <= 0 ? -2 * value : 2 * value - 1);
+    }
+
+    alignZero() {
+        while (this.bits !== 0) this.u(1, 0);
+    }
+
+    bytesAligned(buffer) {
+        for (const byte of buffer) this.bytes.push(byte);
+    }
+
+    trailing() {
+        this.u(1, 1);
+        this.alignZero();
+        return Buffer.from(this.bytes);
+    }
+}
+
+/**
+ * Wrap an RBSP into a NAL unit with start code and emulation prevention
+ */
+function nalUnit(refIdc, type, rbsp) {
+    const out = [0, 0, 0, 1, (refIdc << 5) | type];
+    let zeros = 0;
+    for (const byte of rbsp) {
+        if (zeros >= 2 && byte <= 3) {
+            out.push(3);
+            zeros = 0;
+        }
+        out.push(byte);
+        zeros = byte === 0 ? zeros + 1 : 0;
+    }
+    return Buffer.from(out);
+}
+
+function sequenceParameterSet() {
+    const bits = new BitWriter();
+    bits.u(8, 66); // Baseline profile
+    bits.u(8, 0xc0); // constraint_set0/1: decodable by any Baseline/Main decoder
+    bits.u(8, 30); // level 3.0
+    bits.ue(0); // seq_parameter_set_id
+    bits.ue(0); // log2_max_frame_num_minus4 -> frame_num is 4 bits
+    bits.ue(2); // pic_order_cnt_type 2: output order = decode order
+    bits.ue(1); // max_num_ref_frames
+    bits.u(1, 0); // gaps_in_frame_num_value_allowed_flag
+    bits.ue(MB_COLS - 1);
+    bits.ue(MB_ROWS - 1);
+    bits.u(1, 1); // frame_mbs_only_flag
+    bits.u(1, 1); // direct_8x8_inference_flag
+    bits.u(1, 0); // frame_cropping_flag
+    bits.u(1, 0); // vui_parameters_present_flag
+    return nalUnit(3, 7, bits.trailing());
+}
+
+function pictureParameterSet() {
+    const bits = new BitWriter();
+    bits.ue(0); // pic_parameter_set_id
+    bits.ue(0); // seq_parameter_set_id
+    bits.u(1, 0); // entropy_coding_mode_flag: CAVLC
+    bits.u(1, 0); // bottom_field_pic_order_in_frame_present_flag
+    bits.ue(0); // num_slice_groups_minus1
+    bits.ue(0); // num_ref_idx_l0_default_active_minus1
+    bits.ue(0); // num_ref_idx_l1_default_active_minus1
+    bits.u(1, 0); // weighted_pred_flag
+    bits.u(2, 0); // weighted_bipred_idc
+    bits.se(0); // pic_init_qp_minus26
+    bits.se(0); // pic_init_qs_minus26
+    bits.se(0); // chroma_qp_index_offset
+    bits.u(1, 1); // deblocking_filter_control_present_flag
+    bits.u(1, 0); // constrained_intra_pred_flag
+    bits.u(1, 0); // redundant_pic_cnt_present_flag
+    return nalUnit(3, 8, bits.trailing());
+}
+
+// Access unit delimiter, expected at the start of every frame in HLS
+function accessUnitDelimiter(primaryPicType) {
+    const bits = new BitWriter();
+    bits.u(3, primaryPicType);
+    return nalUnit(0, 9, bits.trailing());
+}
+
+/**
+ * IDR frame: every macroblock is I_PCM, i.e. raw samples
+ */
+function idrSlice(frame, idrPicId) {
+    const bits = new BitWriter();
+    bits.ue(0); // first_mb_in_slice
+    bits.ue(7); // slice_type: I (all slices)
+    bits.ue(0); // pic_parameter_set_id
+    bits.u(4, 0); // frame_num
+    bits.ue(idrPicId);
+    bits.u(1, 0); // no_output_of_prior_pics_flag
+    bits.u(1, 0); // long_term_reference_flag
+    bits.se(0); // slice_qp_delta
+    bits.ue(1); // disable_deblocking_filter_idc: off
+
+    const clamp = value => Math.min(235, Math.max(16, value));
+    for (let mbRow = 0; mbRow < MB_ROWS; mbRow++) {
+        for (let mbCol = 0; mbCol < MB_COLS; mbCol++) {
+            bits.ue(25); // mb_type: I_PCM
+            bits.alignZero();
+
+            const samples = [];
+            for (let y = 0; y < 16; y++) {
+                for (let x = 0; x < 16; x++) {
+                    samples.push(clamp(frame.y[(mbRow * 16 + y) * WIDTH + mbCol * 16 + x]));
+                }
+            }
+            for (const plane of [frame.cb, frame.cr]) {
+                for (let y = 0; y < 8; y++) {
+                    for (let x = 0; x < 8; x++) {
+                        samples.push(clamp(plane[(mbRow * 8 + y) * (WIDTH / 2) + mbCol * 8 + x]));
+                    }
+                }
+            }
+            bits.bytesAligned(samples);
+        }
+    }
+
+    return nalUnit(3, 5, bits.trailing());
+}
+
+/**
+ * P frame that repeats the previous frame: every macroblock is skipped
+ */
+function skipSlice(frameNum) {
+    const bits = new BitWriter();
+    bits.ue(0); // first_mb_in_slice
+    bits.ue(5); // slice_type: P (all slices)
+    bits.ue(0); // pic_parameter_set_id
+    bits.u(4, frameNum % 16);
+    bits.u(1, 0); // num_ref_idx_active_override_flag
+    bits.u(1, 0); // ref_pic_list_modification_flag_l0
+    bits.u(1, 0); // adaptive_ref_pic_marking_mode_flag
+    bits.se(0); // slice_qp_delta
+    bits.ue(1); // disable_deblocking_filter_idc: off
+    bits.ue(MB_COLS * MB_ROWS); // mb_skip_run: the whole frame
+    return nalUnit(2, 1, bits.trailing());
+}
+
+// ============================================
+// MPEG-TS Muxing
+// ============================================
+const PACKET_SIZE = 188;
+const PMT_PID = 0x1000;
+const VIDEO_PID = 0x100;
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc ^= byte << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+    }
+    return crc >>> 0;
+}
+
+/**
+ * A PSI table (PAT/PMT) in a single packet
+ */
+function psiPacket(pid, section) {
+    const crc = crc32(section);
+    const payload = [0, ...section, crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff]; // pointer_field first
+    const packet = Buffer.alloc(PACKET_SIZE, 0xff);
+    packet.set([0x47, 0x40 | (pid >> 8), pid & 0xff, 0x10], 0);
+    packet.set(payload, 4);
+    return packet;
+}
+
+function programAssociationTable() {
+    return psiPacket(0, [
+        0x00, 0xb0, 13, // table_id, section_length
+        0x00, 0x01, 0xc1, 0x00, 0x00, // transport_stream_id, version, section numbers
+        0x00, 0x01, 0xe0 | (PMT_PID >> 8), PMT_PID & 0xff // program 1 -> PMT
+    ]);
+}
+
+function programMapTable() {
+    return psiPacket(PMT_PID, [
+        0x02, 0xb0, 18, // table_id, section_length
+        0x00, 0x01, 0xc1, 0x00, 0x00, // program_number, version, section numbers
+        0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, // PCR PID
+        0xf0, 0x00, // program_info_length
+        0x1b, 0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0x00 // H.264 stream
+    ]);
+}
+
+function timestamp(prefix, value) {
+    return [
+        (prefix << 4) | (Math.floor(value / 2 ** 30) & 0x07) << 1 | 1,
+        (value >> 22) & 0xff,
+        ((value >> 14) & 0xfe) | 1,
+        (value >> 7) & 0xff,
+        ((value << 1) & 0xfe) | 1
+    ];
+}
+
+/**
+ * Split one frame into TS packets, with a PCR on its first packet
+ */
+function videoPackets(frameData, pts, keyframe, counter) {
+    const pes = Buffer.concat([
+        Buffer.from([0, 0, 1, 0xe0, 0, 0, 0x80, 0x80, 5, ...timestamp(2, pts)]),
+        frameData
+    ]);
+    const packets = [];
+    let offset = 0;
+
+    while (offset < pes.length) {
+        const first = offset === 0;
+        const packet = Buffer.alloc(PACKET_SIZE, 0xff);
+        packet[0] = 0x47;
+        packet[1] = (first ? 0x40 : 0) | (VIDEO_PID >> 8);
+        packet[2] = VIDEO_PID & 0xff;
+
+        // Adaptation field: PCR (+ random access flag) on the first packet, stuffing on the last
+        let adaptation = null;
+        if (first) {
+            const pcr = Math.max(0, pts - CLOCK / 10);
+            adaptation = [(keyframe ? 0x40 : 0) | 0x10,
+                Math.floor(pcr / 2 ** 25) & 0xff, (pcr >> 17) & 0xff, (pcr >> 9) & 0xff, (pcr >> 1) & 0xff,
+                ((pcr & 1) << 7) | 0x7e, 0x00];
+        }
+
+        const capacity = PACKET_SIZE - 4 - (adaptation ? adaptation.length + 1 : 0);
+        const remaining = pes.length - offset;
+        if (remaining < capacity) {
+            const stuffing = capacity - remaining;
+            if (adaptation) {
+                adaptation.push(...new Array(stuffing).fill(0xff));
+            } else {
+                // The length byte alone takes 1 byte; more needs the flags byte too
+                adaptation = stuffing === 1 ? [] : [0x00, ...new Array(stuffing - 2).fill(0xff)];
+            }
+        }
+
+        packet[3] = (adaptation ? 0x30 : 0x10) | (counter.value++ & 0x0f);
+        let position = 4;
+        if (adaptation) {
+            packet[position++] = adaptation.length;
+            packet.set(adaptation, position);
+            position += adaptation.length;
+        }
+        const size = Math.min(remaining, PACKET_SIZE - position);
+        pes.copy(packet, position, offset, offset + size);
+        offset += size;
+        packets.push(packet);
+    }
+
+    return packets;
+}
+
+/**
+ * Render one MPEG-TS segment of the placeholder
+ * @param {{title: string, progress: number|null, lines: Array<string>}} status - What to show
+ * @param {number} index - Segment number, for continuous timestamps across the playlist
+ * @returns {Buffer}
+ */
+function renderSegment(status, index) {
+    const frame = renderFrame(status);
+    const counter = { value: 0 };
+    const packets = [programAssociationTable(), programMapTable()];
+    const framesPerSegment = SEGMENT_SECONDS * FPS;
+    const start = CLOCK + index * SEGMENT_SECONDS * CLOCK;
+
+    for (let n = 0; n < framesPerSegment; n++) {
+        const pts = start + n * CLOCK / FPS;
+        const data = n === 0
+            ? Buffer.concat([accessUnitDelimiter(0), sequenceParameterSet(), pictureParameterSet(), idrSlice(frame, index % 2)])
+            : Buffer.concat([accessUnitDelimiter(1), skipSlice(n)]);
+        packets.push(...videoPackets(data, pts, n === 0, counter));
+    }
+
+    return Buffer.concat(packets);
+}
+
+/**
+ * HLS playlist for the placeholder
+ * @param {function(number): string} segmentUrl - URL of segment i
+ * @returns {string}
+ */
+function playlist(segmentUrl) {
+    const lines = [
+        "#EXTM3U",
+        "#EXT-X-VERSION:3",
+        `#EXT-X-TARGETDURATION:${SEGMENT_SECONDS}`,
+        "#EXT-X-MEDIA-SEQUENCE:0",
+        "#EXT-X-PLAYLIST-TYPE:VOD"
+    ];
+    for (let i = 0; i < SEGMENT_COUNT; i++) {
+        lines.push(`#EXTINF:${SEGMENT_SECONDS.toFixed(1)},`, segmentUrl(i));
+    }
+    lines.push("#EXT-X-ENDLIST");
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    SEGMENT_COUNT,
+    renderSegment,
+    playlist
+};
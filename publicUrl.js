@@ -0,0 +1,96 @@
+const dns = require("dns");
+const net = require("net");
+
+// ============================================
+// Public URLs - keep per-install URLs away from the server's own network
+// ============================================
+// Source URLs (Torrentio base URL, extra addons) come from the addon URL, which anyone
+// can write. The server fetches them, so they must not reach localhost, private ranges
+// or cloud metadata addresses. Self-hosted mirrors on a private network are configured
+// with the TORRENTIO_BASE_URL environment variable instead.
+const BLOCKED = new net.BlockList();
+BLOCKED.addSubnet("0.0.0.0", 8, "ipv4"); // "this" network
+BLOCKED.addSubnet("10.0.0.0", 8, "ipv4"); // private
+BLOCKED.addSubnet("100.64.0.0", 10, "ipv4"); // carrier-grade NAT
+BLOCKED.addSubnet("127.0.0.0", 8, "ipv4"); // loopback
+BLOCKED.addSubnet("169.254.0.0", 16, "ipv4"); // link-local, cloud metadata
+BLOCKED.addSubnet("172.16.0.0", 12, "ipv4"); // private
+BLOCKED.addSubnet("192.168.0.0", 16, "ipv4"); // private
+BLOCKED.addSubnet("::", 128, "ipv6"); // unspecified
+BLOCKED.addSubnet("::1", 128, "ipv6"); // loopback
+BLOCKED.addSubnet("fc00::", 7, "ipv6"); // unique local
+BLOCKED.addSubnet("fe80::", 10, "ipv6"); // link-local
+
+/**
+ * Whether an IP address is loopback, link-local or private
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 (e.g. "::ffff:127.0.0.1") is checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return BLOCKED.check(mapped[1], "ipv4");
+    }
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Whether a URL is http(s) and doesn't name a local or private host outright
+ * Hostnames that resolve to private addresses are caught at request time by lookup().
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPublicUrl(value) {
+    try {
+        const url = new URL(value);
+        if (url.protocol !== "http:" && url.protocol !== "https:") {
+            return false;
+        }
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+        if (hostname === "localhost" || hostname.endsWith(".localhost")) {
+            return false;
+        }
+        return net.isIP(hostname) === 0 || !isPrivateAddress(hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * DNS lookup that refuses hosts resolving to private addresses (axios "lookup" option)
+ */
+function lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`Refusing to connect to ${hostname}: private address ${blocked.address}`));
+        }
+        callback(null, addresses);
+    });
+}
+
+/**
+ * axios options for fetching a per-install URL: private hosts are refused,
+ * including when a public host redirects to one
+ */
+const requestOptions = {
+    lookup,
+    beforeRedirect: options => {
+        if (!isPublicUrl(options.href || `${options.protocol}//${options.hostname}/`)) {
+            throw new Error(`Refusing to follow redirect to ${options.hostname}`);
+        }
+    }
+};
+
+module.exports = {
+    isPrivateAddress,
+    isPublicUrl,
+    requestOptions
+};
@@ -0,0 +1,224 @@
+// ============================================
+// Release Name Parser
+// ============================================
+// Extracts title, year, season/episode and quality tags from scene-style
+// release names such as "Movie.Title.2024.1080p.BluRay.x264-GROUP.mkv"
+// or "Show Name S01E02 720p WEB-DL".
+
+const RESOLUTION_PATTERNS = [
+    { pattern: /\b(2160p|4k|uhd)\b/i, value: "2160p" },
+    { pattern: /\b1440p\b/i, value: "1440p" },
+    { pattern: /\b1080[pi]\b/i, value: "1080p" },
+    { pattern: /\b720p\b/i, value: "720p" },
+    { pattern: /\b(576p|480p|sd)\b/i, value: "480p" }
+];
+
+const SOURCE_PATTERNS = [
+    { pattern: /\bremux\b/i, value: "REMUX" },
+    { pattern: /\b(blu[ -]?ray|bdrip|brrip|bdremux|bd25|bd50)\b/i, value: "BluRay" },
+    { pattern: /\bweb[ -]?dl\b/i, value: "WEB-DL" },
+    { pattern: /\bweb[ -]?rip\b/i, value: "WEBRip" },
+    { pattern: /\bweb\b/i, value: "WEB" },
+    { pattern: /\bhdtv\b/i, value: "HDTV" },
+    { pattern: /\b(dvd[ -]?rip|dvdr|dvd)\b/i, value: "DVDRip" },
+    { pattern: /\b(hd ?cam|cam ?rip|cam)\b/i, value: "CAM" },
+    { pattern: /\b(telesync|hd ?ts|ts)\b/i, value: "TS" },
+    { pattern: /\b(screener|scr|dvdscr)\b/i, value: "SCR" }
+];
+
+const CODEC_PATTERNS = [
+    { pattern: /\b(x265|h ?265|hevc)\b/i, value: "x265" },
+    { pattern: /\b(x264|h ?264|avc)\b/i, value: "x264" },
+    { pattern: /\bav1\b/i, value: "AV1" },
+    { pattern: /\b(xvid|divx)\b/i, value: "XviD" }
+];
+
+// S01E02, S01E02E03, S01E02-E03, S1 E2
+const SEASON_EPISODE_PATTERN = /\bs(\d{1,2}) ?e(\d{1,3})(?:(?: ?- ?e?| ?e)(\d{1,3}))?\b/i;
+// 1x02
+const CROSS_EPISODE_PATTERN = /\b(\d{1,2})x(\d{2,3})\b/i;
+// S01, Season 1, Season 01 Complete
+const SEASON_PACK_PATTERN = /\b(?:s(\d{1,2})|season ?(\d{1,2}))\b/i;
+// E02, Ep 2, Episode 02, "Show - 05" (anime style)
+const EPISODE_ONLY_PATTERN = /(?:\b(?:e|ep|episode) ?(\d{1,3})\b| - (\d{2,3})\b)/i;
+// 1900-2099, not part of a longer number
+const YEAR_PATTERN = /\b(19\d{2}|20\d{2})\b/g;
+
+/**
+ * Replace release separators with spaces and drop the file extension
+ * @param {string} name - Raw file or folder name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return (name || "")
+        .replace(/\.(mkv|mp4|avi|m4v|mov|wmv|webm|ts|m2ts|mpg|mpeg)$/i, "")
+        .replace(/^\s*\[[^\]]*\]\s*/, "") // leading [Group] tag
+        .replace(/^\s*www\.\S+\s*-\s*/i, "") // leading "www.site.org - "
+        .replace(/[._]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Find the first matching tag in a list of patterns
+ * @returns {{value: string, index: number}|null}
+ */
+function matchTag(text, patterns) {
+    for (const { pattern, value } of patterns) {
+        const match = text.match(pattern);
+        if (match) {
+            return { value, index: match.index };
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse a release name into its components
+ * @param {string} name - File or folder name
+ * @returns {{title: string, year: number|null, season: number|null, episode: number|null, episodes: number[], isSeasonPack: boolean, resolution: string|null, source: string|null, codec: string|null}}
+ */
+function parseReleaseName(name) {
+    const text = normalizeName(name);
+    const cutPoints = [];
+
+    const result = {
+        title: "",
+        year: null,
+        season: null,
+        episode: null,
+        episodes: [],
+        isSeasonPack: false,
+        resolution: null,
+        source: null,
+        codec: null
+    };
+
+    // Season / episode markers
+    const seasonEpisode = text.match(SEASON_EPISODE_PATTERN) || text.match(CROSS_EPISODE_PATTERN);
+    if (seasonEpisode) {
+        result.season = parseInt(seasonEpisode[1], 10);
+        result.episode = parseInt(seasonEpisode[2], 10);
+        result.episodes = [result.episode];
+
+        // Multi-episode files (S01E01E02 / S01E01-E03)
+        if (seasonEpisode[3]) {
+            const lastEpisode = parseInt(seasonEpisode[3], 10);
+            for (let ep = result.episode + 1; ep <= lastEpisode; ep++) {
+                result.episodes.push(ep);
+            }
+        }
+        cutPoints.push(seasonEpisode.index);
+    } else {
+        const seasonPack = text.match(SEASON_PACK_PATTERN);
+        if (seasonPack) {
+            result.season = parseInt(seasonPack[1] || seasonPack[2], 10);
+            result.isSeasonPack = true;
+            cutPoints.push(seasonPack.index);
+        }
+
+        const episodeOnly = text.match(EPISODE_ONLY_PATTERN);
+        if (episodeOnly) {
+            result.episode = parseInt(episodeOnly[1] || episodeOnly[2], 10);
+            result.episodes = [result.episode];
+            result.isSeasonPack = false;
+            cutPoints.push(episodeOnly.index);
+        }
+    }
+
+    // Year - use the last one so titles like "2001 A Space Odyssey 1968" keep their number
+    const years = [...text.matchAll(YEAR_PATTERN)].filter(m => m.index > 0);
+    if (years.length > 0) {
+        const yearMatch = years[years.length - 1];
+        result.year = parseInt(yearMatch[1], 10);
+        cutPoints.push(yearMatch.index);
+    }
+
+    // Quality tags
+    const resolution = matchTag(text, RESOLUTION_PATTERNS);
+    if (resolution) {
+        result.resolution = resolution.value;
+        cutPoints.push(resolution.index);
+    }
+
+    const source = matchTag(text, SOURCE_PATTERNS);
+    if (source) {
+        result.source = source.value;
+        cutPoints.push(source.index);
+    }
+
+    const codec = matchTag(text, CODEC_PATTERNS);
+    if (codec) {
+        result.codec = codec.value;
+        cutPoints.push(codec.index);
+    }
+
+    // Title is everything before the first recognized tag
+    const cutAt = cutPoints.length > 0 ? Math.min(...cutPoints) : text.length;
+    result.title = text.substring(0, cutAt)
+        .replace(/[([{-]+\s*$/, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    return result;
+}
+
+/**
+ * Parse a Seedr video path, filling gaps in the file name from its parent folders
+ * (e.g. "Show.S01.1080p/E02.mkv" or "Movie (2020)/movie.mkv")
+ * @param {string} path - Path of the file relative to the Seedr root
+ * @returns {{title: string, year: number|null, season: number|null, episode: number|null, episodes: number[], isSeasonPack: boolean, resolution: string|null, source: string|null, codec: string|null, type: string}}
+ */
+function parseVideoPath(path) {
+    // Per-torrent folders are named after the infoHash and say nothing about the release
+    const segments = (path || "").split("/").filter(s => s && !/^[a-f0-9]{40}$/i.test(s));
+    const fileName = segments.pop() || "";
+    const result = parseReleaseName(fileName);
+    // File names without any tags (e.g. "movie.mkv") are weaker than a tagged folder name
+    const fileHasTags = result.year !== null || result.season !== null || result.episode !== null;
+
+    // Walk up from the closest folder
+    for (const folderName of segments.reverse()) {
+        const folder = parseReleaseName(folderName);
+
+        if (folder.title && (!result.title || (!fileHasTags && folder.year))) result.title = folder.title;
+        if (!result.year && folder.year) result.year = folder.year;
+        if (result.season === null && folder.season !== null) result.season = folder.season;
+        if (!result.resolution) result.resolution = folder.resolution;
+        if (!result.source) result.source = folder.source;
+        if (!result.codec) result.codec = folder.codec;
+    }
+
+    if (!result.title) {
+        result.title = normalizeName(fileName);
+    }
+
+    // A bare episode number without a season is treated as season 1
+    if (result.episode !== null && result.season === null) {
+        result.season = 1;
+    }
+
+    result.isSeasonPack = result.isSeasonPack && result.episode === null;
+    result.type = result.episode !== null ? "series" : "movie";
+
+    return result;
+}
+
+/**
+ * Build a stable identifier slug for grouping releases of the same title
+ * @param {string} title - Parsed title
+ * @returns {string}
+ */
+function titleSlug(title) {
+    return (title || "")
+        .toLowerCase()
+        .replace(/&/g, "and")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+module.exports = {
+    parseReleaseName,
+    parseVideoPath,
+    titleSlug
+};
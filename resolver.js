@@ -0,0 +1,489 @@
+const seedrApi = require("./seedrApi");
+const seedrClient = require("./seedrClient");
+const torrentIndex = require("./torrentIndex");
+const jobManager = require("./jobManager");
+const torrentioApi = require("./torrentioApi");
+const streamProviders = require("./streamProviders");
+const streamRanking = require("./streamRanking");
+const eviction = require("./eviction");
+
+// ============================================
+// Resolver - get a torrent into Seedr and wait for its files
+// ============================================
+// Runs as one background job per account + infoHash (see jobManager.js). The job's
+// result is the torrent's folder and video files; picking the file to play is left
+// to each request, since one season pack serves many episodes.
+const POLL_INTERVAL = 3000; // 3 seconds
+const MAX_DOWNLOAD_DURATION = 60 * 60 * 1000; // give up after an hour
+// A transfer without progress for this long is considered dead and replaced by the next candidate
+const STALL_TIMEOUT = (parseInt(process.env.STALL_TIMEOUT_SECONDS, 10) || 120) * 1000;
+const MAX_FAILOVER_HOPS = parseInt(process.env.MAX_FAILOVER_HOPS, 10) || 3;
+// Add attempts when Seedr is full: each retry follows one round of eviction
+const MAX_ADD_RETRIES = 5;
+
+/**
+ * Thrown when a transfer stops making progress, so the next candidate can be tried
+ */
+class StalledError extends Error { }
+
+/**
+ * Release name without extension, case or separators, for comparing Seedr names
+ */
+function normalizeName(name) {
+    return name.toLowerCase().replace(/\.(mkv|mp4|avi|m4v|mov|wmv|webm|ts)$/, "").replace(/[\s._-]+/g, " ").trim();
+}
+
+/**
+ * Whether a Seedr item is named after the release we're looking for
+ * Whole names are compared: releases of one title share long prefixes
+ * ("Oppenheimer.2023.1080p.BluRay" vs "Oppenheimer.2023.1080p.WEB-DL").
+ */
+function namesMatch(seedrName, searchName) {
+    if (!seedrName || !searchName) return false;
+    return normalizeName(seedrName) === normalizeName(searchName);
+}
+
+/**
+ * Find a legacy torrent in the library: one added to the root before per-infoHash folders existed
+ * Only the root listing is compared by name, so this costs one folder request (plus the
+ * matched folder) instead of a walk of the whole library. Per-infoHash folders belong to
+ * other torrents and are skipped. A matched folder yields every video inside it.
+ * @param {string} accessToken
+ * @param {string[]} searchNames - Torrent name and/or filename
+ * @returns {Promise<Array>} Videos in the getAllVideoFiles format, [] if nothing matches
+ */
+async function findLegacyVideos(accessToken, searchNames) {
+    const names = searchNames.filter(Boolean);
+    const isMatch = item => !seedrApi.isTorrentFolderName(item.name) && names.some(n => namesMatch(item.name, n));
+    const root = await seedrApi.getFolder(accessToken);
+
+    const folder = (root.folders || []).find(isMatch);
+    if (folder) {
+        return seedrApi.getAllVideoFiles(accessToken, folder.id.toString(), folder.name);
+    }
+
+    const file = (root.files || []).find(f => f.play_video && isMatch(f));
+    if (!file) return [];
+    return [{
+        id: file.folder_file_id.toString(),
+        name: file.name,
+        size: file.size,
+        path: file.name,
+        folderId: null,
+        updatedAt: file.last_update || null
+    }];
+}
+
+/**
+ * Key of the resolve job for an account + torrent
+ * @param {string} accessToken
+ * @param {string} infoHash
+ * @returns {string}
+ */
+function jobKey(accessToken, infoHash) {
+    return `${torrentIndex.accountKey(accessToken)}:${infoHash.toLowerCase()}`;
+}
+
+/**
+ * Get the resolve job for a torrent, if one is running or recently finished
+ * @param {string} accessToken
+ * @param {string} infoHash
+ * @returns {Object|null}
+ */
+function getResolveJob(accessToken, infoHash) {
+    return jobManager.getJob(jobKey(accessToken, infoHash));
+}
+
+/**
+ * Latest state of the resolve job for a torrent, including jobs from before a restart
+ * @param {string} accessToken
+ * @param {string} infoHash
+ * @returns {Object|null}
+ */
+function getResolveStatus(accessToken, infoHash) {
+    return jobManager.getJobSnapshot(jobKey(accessToken, infoHash));
+}
+
+/**
+ * Recent resolves for an account, newest first
+ * @param {string} accessToken
+ * @returns {Array<Object>}
+ */
+function getResolveHistory(accessToken) {
+    return jobManager.listJobSnapshots(`${torrentIndex.accountKey(accessToken)}:`);
+}
+
+/**
+ * Start the resolve job for a torrent, or join the one already running
+ * @param {string} accessToken - The access token
+ * @param {string} infoHash - Torrent info hash
+ * @param {{name?: string, title?: string, filename?: string, fileIdx?: string, size?: number, trackers?: string, torrentFile?: string}} source - How to add and recognise the torrent
+ * @param {{failover?: {config: Object, imdbId: string}|null, eviction?: string}} options
+ *   failover: where to find other candidates if the torrent stalls; eviction: policy when Seedr is full
+ * @returns {Object} The job; its result is {infoHash, folderId, videos, filename, fileIdx} of the torrent actually downloaded
+ */
+function startResolve(accessToken, infoHash, source, options = {}) {
+    const { failover = null, eviction: evictionPolicy = eviction.DEFAULT_STORAGE.eviction } = options;
+
+    return jobManager.startJob(
+        jobKey(accessToken, infoHash),
+        { infoHash: infoHash.toLowerCase(), name: source.title || source.name || null },
+        update => runWithFailover(accessToken, infoHash, { ...source, evictionPolicy }, failover, update)
+    );
+}
+
+/**
+ * Resolve a torrent, moving on to the next-best candidate for the same title whenever one stalls
+ */
+async function runWithFailover(accessToken, infoHash, source, failover, update) {
+    const tried = new Set();
+    let candidates = null; // ranked provider results, fetched on the first stall
+    let current = { ...source, infoHash: infoHash.toLowerCase() };
+
+    for (let hop = 0; ; hop++) {
+        tried.add(current.infoHash);
+
+        try {
+            const result = await runResolve(accessToken, current.infoHash, { ...current, evictionPolicy: source.evictionPolicy }, update);
+            return { ...result, infoHash: current.infoHash, filename: current.filename, fileIdx: current.fileIdx };
+        } catch (error) {
+            if (!(error instanceof StalledError)) throw error;
+
+            console.log(`💀 ${current.infoHash} stalled: ${error.message}`);
+            if (!failover || hop >= MAX_FAILOVER_HOPS) {
+                throw new jobManager.JobError(504, "Download stalled", `${error.message}. Try another stream.`);
+            }
+
+            if (!candidates) {
+                candidates = await getCandidates(accessToken, failover);
+            }
+            const next = candidates.find(c => !tried.has(c.infoHash));
+            if (!next) {
+                throw new jobManager.JobError(504, "Download stalled", `${error.message}, and there are no other torrents to try.`);
+            }
+
+            console.log(`🔀 Failover ${hop + 1}/${MAX_FAILOVER_HOPS}: ${current.infoHash} -> ${next.infoHash} (${next.title})`);
+            update({ phase: "adding", progress: 0, speed: null, eta: null, message: `Torrent stalled, trying another (${hop + 1}/${MAX_FAILOVER_HOPS})` });
+            current = next;
+        }
+    }
+}
+
+/**
+ * Other torrents for the same IMDb ID (or episode), best first, as resolve sources
+ */
+async function getCandidates(accessToken, { config, imdbId }) {
+    const type = imdbId.includes(":") ? "series" : "movie";
+    const streams = await streamProviders.fetchAllStreams(streamProviders.getProviders(config), type, imdbId);
+    const account = await seedrApi.getCachedAccountInfo(accessToken);
+
+    return streamRanking.rankStreams(streams, config.prefs)
+        .filter(stream => eviction.checkFit(stream.sizeBytes, account) !== "too-large")
+        .map(stream => ({
+            infoHash: stream.infoHash.toLowerCase(),
+            name: stream.filename || stream.title,
+            title: stream.title,
+            filename: stream.filename,
+            fileIdx: String(stream.fileIdx),
+            size: stream.sizeBytes || 0,
+            trackers: (stream.trackers || []).join(",")
+        }));
+}
+
+/**
+ * Download speed (bytes/s) and ETA (s) of a transfer
+ * Uses Seedr's reported rate when present, otherwise the progress change since the last poll.
+ */
+function estimateSpeed(transfer, progress, lastSample) {
+    const size = parseFloat(transfer.size) || 0;
+    let speed = parseFloat(transfer.download_rate || transfer.speed) || null;
+
+    if (!speed && lastSample && size > 0 && progress > lastSample.progress) {
+        const seconds = (Date.now() - lastSample.time) / 1000;
+        speed = seconds > 0 ? Math.round(((progress - lastSample.progress) / 100) * size / seconds) : null;
+    }
+
+    const eta = speed && size > 0 ? Math.round(((100 - progress) / 100) * size / speed) : null;
+    return { speed, eta };
+}
+
+/**
+ * The resolve pipeline: find the torrent in Seedr or add it, then wait for its files
+ */
+async function runResolve(accessToken, infoHash, source, update) {
+    const { name, title, filename, trackers, torrentFile, evictionPolicy } = source;
+
+    // Seedr's ID for our transfer, from add_torrent here or in an earlier resolve
+    let torrentId = null;
+
+    // Remember where this torrent lives in Seedr so "Ready" streams can be matched exactly
+    const rememberTorrent = (details = {}) => {
+        torrentIndex.recordTorrent(accessToken, infoHash, { name, ...details });
+    };
+
+    // Find this torrent's transfer by hash or ID. Names only for transfers Seedr reports without a hash.
+    const findOwnTransfer = (transfers) => {
+        const indexed = torrentIndex.getByInfoHash(accessToken, infoHash);
+        const knownId = torrentId || (indexed ? indexed.torrentId : null);
+        const exact = seedrApi.findTransfer(transfers, { infoHash, torrentId: knownId });
+        if (exact) return exact;
+
+        const byName = transfers.find(t => !seedrApi.getTransferHash(t) &&
+            (namesMatch(t.name, title) || namesMatch(t.name, filename)));
+        if (byName) {
+            console.log(`   ⚠️  Transfer "${byName.name}" has no hash, matched by name`);
+        }
+        return byName || null;
+    };
+
+    const waitForFiles = async (torrentFolder = null) => {
+        console.log("⏳ Waiting for download to complete...");
+        update({ phase: "downloading", message: "Downloading to Seedr" });
+
+        const startedAt = Date.now();
+        let lastProgress = -1;
+        let lastSample = null; // { progress, time } for speed estimates
+        let lastActivity = startedAt; // last time the transfer made progress
+        let attempts = 0;
+
+        while (Date.now() - startedAt < MAX_DOWNLOAD_DURATION) {
+            attempts++;
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+
+            // Check transfers for progress
+            const transfers = await seedrApi.getActiveTransfers(accessToken);
+            const transfer = findOwnTransfer(transfers);
+
+            if (transfer) {
+                const progress = parseFloat(transfer.progress) || 0;
+                if (progress !== lastProgress) {
+                    console.log(`   Progress: ${progress}% (attempt ${attempts})`);
+                    if (progress > lastProgress) lastActivity = Date.now();
+                    lastProgress = progress;
+                }
+
+                const seedrError = transfer.error || (/error|fail|dead/i.test(transfer.status || "") ? transfer.status : null);
+                if (seedrError) {
+                    await abandonTransfer(transfer, torrentFolder);
+                    throw new StalledError(`Seedr reported an error: ${seedrError}`);
+                }
+
+                const { speed, eta } = estimateSpeed(transfer, progress, lastSample);
+                lastSample = { progress, time: Date.now() };
+
+                if (progress >= 100) {
+                    // Download complete - Seedr still has to move the files into the folder
+                    update({ phase: "processing", progress, speed: null, eta: null, message: "Seedr is processing the files" });
+                    if (attempts % 5 === 0) console.log("   (Stuck at 100%? waiting for file processing...)");
+                } else {
+                    update({ phase: "downloading", progress, speed, eta, message: `Downloading to Seedr (${progress}%)` });
+                }
+            } else if (lastProgress >= 100) {
+                update({ phase: "processing", speed: null, eta: null, message: "Seedr is processing the files" });
+            }
+
+            // Check if the files have landed - in the torrent's own folder when we know it,
+            // otherwise in the library root by name (torrents added before per-infoHash folders)
+            const torrentVideos = torrentFolder
+                ? await seedrApi.getAllVideoFiles(accessToken, torrentFolder.id.toString(), torrentFolder.name)
+                : await findLegacyVideos(accessToken, [title, filename]);
+
+            if (torrentVideos.length > 0 && (torrentFolder || !transfer)) {
+                console.log(`✅ Download complete: ${torrentVideos.length} video(s)`);
+                if (!torrentFolder) {
+                    // Found by name - not recorded, so a wrong match can't stick to this infoHash
+                    console.log("   ⚠️  Fallback: files matched by name in the library root:", torrentVideos[0].path);
+                    return { folderId: torrentVideos[0].folderId, videos: torrentVideos };
+                }
+                rememberTorrent({ folderId: torrentFolder.id });
+                return { folderId: torrentFolder.id, videos: torrentVideos };
+            }
+
+            if (!transfer && attempts > 5 && attempts % 5 === 0) {
+                console.log(`   ❓ No transfer and no matching video found yet for "${title || infoHash}"`);
+            }
+
+            // No progress (or no transfer at all) for too long - the torrent is dead
+            if (lastProgress < 100 && Date.now() - lastActivity > STALL_TIMEOUT) {
+                await abandonTransfer(transfer, torrentFolder);
+                throw new StalledError(`No progress for ${Math.round(STALL_TIMEOUT / 1000)}s at ${Math.max(lastProgress, 0)}%`);
+            }
+        }
+
+        // Timeout reached
+        console.log("⏰ Timeout waiting for download");
+        throw new jobManager.JobError(408, "Download timeout",
+            "The download is taking longer than expected. Please check Seedr Downloads catalog and try again.");
+    };
+
+    // Remove a dead transfer and its empty folder so it doesn't hold a download slot
+    const abandonTransfer = async (transfer, torrentFolder) => {
+        if (transfer) {
+            await seedrApi.deleteTorrent(accessToken, transfer.user_torrent_id || transfer.id)
+                .catch(error => console.error("Failed to delete stalled transfer:", error.message));
+        }
+        if (torrentFolder) {
+            await seedrApi.deleteFolder(accessToken, torrentFolder.id).catch(() => { });
+        }
+        torrentIndex.removeTorrent(accessToken, infoHash);
+    };
+
+    // Folder the torrent is downloaded into (null = root, if the folder couldn't be created)
+    const createTorrentFolder = async () => {
+        const result = await seedrApi.getOrCreateTorrentFolder(accessToken, infoHash);
+        if (!result) {
+            console.warn("⚠️  Could not create torrent folder, adding to root instead");
+            return null;
+        }
+        console.log(`📁 ${result.created ? "Created" : "Using"} torrent folder:`, result.folder.id);
+        return result.folder;
+    };
+
+    update({ phase: "adding", message: "Checking Seedr" });
+
+    // Step 1: Check the torrent's own folder (one folder per infoHash)
+    console.log("📁 Looking for existing torrent folder...");
+    const targetFolder = await seedrApi.getFolderByName(accessToken, seedrApi.torrentFolderName(infoHash));
+
+    if (targetFolder) {
+        console.log("✅ Using existing folder:", targetFolder.id);
+
+        // Completed torrents have their files in this folder
+        const folderVideos = await seedrApi.getAllVideoFiles(accessToken, targetFolder.id.toString(), targetFolder.name);
+        if (folderVideos.length > 0) {
+            console.log("✅ Torrent already completed in this folder");
+            rememberTorrent({ folderId: targetFolder.id });
+            return { folderId: targetFolder.id, videos: folderVideos };
+        }
+
+        // Check if the torrent is still downloading into this folder
+        const folderContent = await seedrApi.getFolder(accessToken, targetFolder.id);
+        if (folderContent.torrents && folderContent.torrents.length > 0) {
+            console.log("⏳ Torrent already downloading in this folder, waiting for completion...");
+            rememberTorrent({ folderId: targetFolder.id });
+            return waitForFiles(targetFolder);
+        }
+
+        // Empty folder: an earlier add failed or the files were deleted - add again below
+    }
+
+    // Step 2: Pre-flight - refuse torrents that can never fit in the account, before the
+    // slower lookups below so the error arrives within the grace period
+    const size = parseFloat(source.size) || 0;
+    if (size > 0) {
+        const account = await seedrApi.getCachedAccountInfo(accessToken);
+        if (eviction.checkFit(size, account) === "too-large") {
+            const gb = bytes => `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+            console.log(`🚫 Torrent is ${gb(size)}, Seedr plan holds ${gb(account.storage_limit)}`);
+            throw new jobManager.JobError(413, "Torrent larger than Seedr plan",
+                `This torrent is ${gb(size)} but your Seedr plan only holds ${gb(account.storage_limit)}. Pick a smaller stream.`);
+        }
+    }
+
+    // Step 3: Check if torrent is already in active transfers (prevent duplicate additions)
+    console.log("🔍 Checking for existing transfers...");
+    const activeTransfers = await seedrApi.getActiveTransfers(accessToken);
+    const existingTransfer = findOwnTransfer(activeTransfers);
+
+    if (existingTransfer) {
+        console.log("⏳ Torrent already in transfer queue, waiting for completion...");
+        torrentId = existingTransfer.user_torrent_id || existingTransfer.id || torrentId;
+        rememberTorrent({ torrentId });
+        console.log("   Current progress:", existingTransfer.progress || 0, "%");
+        return waitForFiles(targetFolder);
+    }
+
+    // Step 4: No folder for this infoHash - check the library root for the same release
+    // (torrents added to the root before per-infoHash folders existed)
+    if (!targetFolder) {
+        console.log("🔍 Checking the library root for a legacy copy...");
+        const existingVideos = await findLegacyVideos(accessToken, [title, filename]);
+
+        if (existingVideos.length > 0) {
+            // Not recorded in the index: a name match is a guess, the infoHash folder is not
+            console.log("⚠️  Fallback: using legacy library item matched by name:", existingVideos[0].path);
+            return { folderId: existingVideos[0].folderId, videos: existingVideos };
+        }
+    }
+
+    // Step 5: Add torrent (magnet link or file) into its own folder
+    const magnet = torrentFile ? null : torrentioApi.buildMagnet({ infoHash, filename: name, trackers: trackers ? trackers.split(",") : [] });
+    let torrentFolder = targetFolder || await createTorrentFolder();
+    let addResult;
+    let retryCount = 0;
+
+    while (retryCount <= MAX_ADD_RETRIES) {
+        try {
+            if (torrentFile) {
+                console.log(`📥 Adding torrent file to Seedr (Attempt ${retryCount + 1})...`);
+                // Torrent file is base64 encoded in the query
+                addResult = await seedrApi.addTorrentFile(accessToken, decodeURIComponent(torrentFile), name || `torrent-${infoHash}.torrent`, torrentFolder ? torrentFolder.id : -1);
+            } else {
+                console.log(`📥 Adding magnet to Seedr (Attempt ${retryCount + 1})...`);
+                addResult = await seedrApi.addMagnet(accessToken, magnet, torrentFolder ? torrentFolder.id : -1);
+            }
+
+            // If we get here and result is true/success, we are done
+            if (addResult.result === true || addResult.result === "success") {
+                console.log("✅ Torrent added to active downloads");
+            } else {
+                // Unknown success code, but assume success
+                console.log("✅ Torrent added successfully (code: " + addResult.result + ")");
+            }
+            torrentId = addResult.user_torrent_id || null;
+            rememberTorrent({ folderId: torrentFolder ? torrentFolder.id : null, torrentId });
+            break;
+
+        } catch (error) {
+            console.error(`❌ Attempt ${retryCount + 1} failed:`, error.message);
+
+            // Space/queue problems can be fixed by evicting; anything else (auth, outage) can't
+            const quotaKind = error instanceof seedrClient.QuotaError ? error.kind : null;
+
+            // If it was added to the wishlist instead (soft fail), delete it first to be clean
+            const wish = error.data && error.data.wt;
+            if (wish && wish.id) {
+                await seedrApi.deleteFromWishlist(accessToken, wish.id);
+            }
+
+            let room = { freed: false };
+            if (retryCount < MAX_ADD_RETRIES && quotaKind) {
+                console.log(`⚠️  ${quotaKind === "queue" ? "Queue" : "Space"} limit reached, applying eviction policy "${evictionPolicy}"...`);
+                room = await eviction.makeRoom(accessToken, {
+                    policy: evictionPolicy,
+                    reason: quotaKind,
+                    bytesNeeded: size,
+                    protect: infoHash
+                });
+            }
+
+            if (room.freed) {
+                // "clear-all" removes the torrent folder too
+                torrentFolder = await createTorrentFolder();
+                retryCount++;
+            } else {
+                // Nothing more to evict or not a space issue - don't leave an empty folder behind
+                if (torrentFolder) {
+                    await seedrApi.deleteFolder(accessToken, torrentFolder.id).catch(() => { });
+                }
+                if (!quotaKind) {
+                    throw error;
+                }
+                throw new jobManager.JobError(507, "Storage full or queue full",
+                    evictionPolicy === "never"
+                        ? "Not enough space in Seedr, and automatic cleanup is turned off. Delete something in Seedr and try again."
+                        : "Not enough space in Seedr, even after removing older downloads made by this addon.");
+            }
+        }
+    }
+
+    return waitForFiles(torrentFolder);
+}
+
+module.exports = {
+    jobKey,
+    startResolve,
+    getResolveJob,
+    getResolveStatus,
+    getResolveHistory
+};
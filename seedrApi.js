@@ -1,7 +1,9 @@
 const axios = require("axios");
+const seedrClient = require("./seedrClient");
 
 // Seedr API Configuration
-const SEEDR_BASE_URL = "https://www.seedr.cc";
+// Every call goes through seedrClient (timeouts, retries, rate limiting, typed errors).
+// Calls throw seedrClient errors unless their doc comment says they are best-effort.
 const CLIENT_ID = "seedr_xbmc"; // Long-lived token (1 year)
 
 /**
@@ -9,10 +11,7 @@ const CLIENT_ID = "seedr_xbmc"; // Long-lived token (1 year)
  * @returns {Promise<{device_code: string, user_code: string, expires_in: number, interval: number}>}
  */
 async function getDeviceCode() {
-    const response = await axios.get(`${SEEDR_BASE_URL}/api/device/code`, {
-        params: { client_id: CLIENT_ID }
-    });
-    return response.data;
+    return seedrClient.get("/api/device/code", { params: { client_id: CLIENT_ID } });
 }
 
 /**
@@ -22,20 +21,20 @@ async function getDeviceCode() {
  */
 async function pollForToken(deviceCode) {
     try {
-        const response = await axios.get(`${SEEDR_BASE_URL}/api/device/authorize`, {
+        const data = await seedrClient.get("/api/device/authorize", {
             params: {
                 device_code: deviceCode,
                 client_id: CLIENT_ID
             }
         });
 
-        if (response.data && response.data.access_token) {
-            return response.data;
+        if (data && data.access_token) {
+            return data;
         }
         return null;
     } catch (error) {
         // Authorization pending - user hasn't entered code yet
-        if (error.response && error.response.status === 400) {
+        if (error.httpStatus === 400) {
             return null;
         }
         throw error;
@@ -49,23 +48,16 @@ async function pollForToken(deviceCode) {
  * @returns {Promise<{folders: Array, files: Array}>}
  */
 async function getFolder(accessToken, folderId = null) {
-    let url = `${SEEDR_BASE_URL}/api/folder`;
-    if (folderId) {
-        url = `${SEEDR_BASE_URL}/api/folder/${folderId}`;
-    }
-
-    const response = await axios.get(url, {
-        params: { access_token: accessToken }
-    });
-    return response.data;
+    return seedrClient.get(folderId ? `/api/folder/${folderId}` : "/api/folder", { accessToken });
 }
 
 /**
  * Recursively get all video files from Seedr account
+ * Best-effort: folders that fail to load are skipped, except when the token itself is rejected.
  * @param {string} accessToken - The access token
  * @param {string|null} folderId - Folder ID to start from (null for root)
  * @param {string} parentPath - Path prefix for folder hierarchy
- * @returns {Promise<Array<{id: string, name: string, size: number, path: string}>>}
+ * @returns {Promise<Array<{id: string, name: string, size: number, path: string, folderId: string|null, updatedAt: string|null}>>}
  */
 async function getAllVideoFiles(accessToken, folderId = null, parentPath = "") {
     const videos = [];
@@ -81,7 +73,9 @@ async function getAllVideoFiles(accessToken, folderId = null, parentPath = "") {
                         id: file.folder_file_id.toString(),
                         name: file.name,
                         size: file.size,
-                        path: parentPath ? `${parentPath}/${file.name}` : file.name
+                        path: parentPath ? `${parentPath}/${file.name}` : file.name,
+                        folderId: folderId,
+                        updatedAt: file.last_update || null
                     });
                 }
             }
@@ -96,6 +90,9 @@ async function getAllVideoFiles(accessToken, folderId = null, parentPath = "") {
             }
         }
     } catch (error) {
+        if (error instanceof seedrClient.AuthError) {
+            throw error;
+        }
         console.error("Error fetching folder:", folderId, error.message);
     }
 
@@ -106,43 +103,79 @@ async function getAllVideoFiles(accessToken, folderId = null, parentPath = "") {
  * Get streaming URL for a file
  * @param {string} accessToken - The access token
  * @param {string} fileId - The folder_file_id of the file
- * @returns {Promise<{url: string, name: string, size: number}>}
+ * @returns {Promise<{url: string, name: string, size: number}|null>} null if the file is gone from Seedr
  */
 async function getStreamUrl(accessToken, fileId) {
-    const formData = new URLSearchParams();
-    formData.append("access_token", accessToken);
-    formData.append("func", "fetch_file");
-    formData.append("folder_file_id", fileId);
-
-    const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-        headers: {
-            "Content-Type": "application/x-www-form-urlencoded"
+    try {
+        return await seedrClient.callResource(accessToken, "fetch_file", { folder_file_id: fileId });
+    } catch (error) {
+        if (error instanceof seedrClient.NotFoundError) {
+            return null;
         }
-    });
+        throw error;
+    }
+}
+
+// Query parameters that carry a signed URL's expiry time (unix seconds)
+const URL_EXPIRY_PARAMS = ["expires", "Expires", "exp", "e"];
+const URL_EXPIRY_MARGIN = 60 * 1000; // treat URLs as expired a minute early
+
+/**
+ * Read the expiry time of a signed stream URL
+ * @param {string} url - Stream URL from getStreamUrl
+ * @returns {number|null} Expiry as ms since epoch, or null if the URL doesn't say
+ */
+function getStreamUrlExpiry(url) {
+    try {
+        const params = new URL(url).searchParams;
+        for (const param of URL_EXPIRY_PARAMS) {
+            const value = Number(params.get(param));
+            // Only accept plausible unix timestamps in seconds
+            if (Number.isInteger(value) && value > 1e9 && value < 1e11) {
+                return value * 1000;
+            }
+        }
+    } catch (error) {
+        // Not a valid URL
+    }
+    return null;
+}
+
+/**
+ * Check whether a stream URL still works
+ * Uses the URL's expiry parameter when it has one, otherwise probes it with a HEAD request.
+ * @param {string} url - Stream URL from getStreamUrl
+ * @returns {Promise<boolean>}
+ */
+async function isStreamUrlValid(url) {
+    const expiresAt = getStreamUrlExpiry(url);
+    if (expiresAt !== null) {
+        return expiresAt - URL_EXPIRY_MARGIN > Date.now();
+    }
 
-    return response.data;
+    try {
+        const response = await axios.head(url, {
+            timeout: 5000,
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+        return response.status < 400;
+    } catch (error) {
+        console.error("Error probing stream URL:", error.message);
+        return false;
+    }
 }
 
 /**
  * Get user account information and storage stats
+ * Best-effort: failures return zeroed stats with "error" set.
  * @param {string} accessToken - The access token
- * @returns {Promise<{storage_used: number, storage_limit: number, remaining_space: number, username: string}>}
+ * @returns {Promise<{storage_used: number, storage_limit: number, remaining_space: number, username: string, error?: string}>}
  */
 async function getAccountInfo(accessToken) {
     try {
-        const formData = new URLSearchParams();
-        formData.append("access_token", accessToken);
-        formData.append("func", "get_account_info");
-
-        const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded"
-            },
-            timeout: 10000
-        });
-
         // Parse storage info
-        const info = response.data;
+        const info = await seedrClient.callResource(accessToken, "get_account_info", {}, { timeout: 10000 });
         if (info.storage_used !== undefined && info.storage_limit !== undefined) {
             const remaining = info.storage_limit - info.storage_used;
             console.log(`📊 Storage: ${(info.storage_used / 1024 / 1024 / 1024).toFixed(2)}GB / ${(info.storage_limit / 1024 / 1024 / 1024).toFixed(2)}GB (${(remaining / 1024 / 1024 / 1024).toFixed(2)}GB free)`);
@@ -166,63 +199,52 @@ async function getAccountInfo(accessToken) {
     }
 }
 
+// Account info changes slowly; stream lists read it for every title
+const ACCOUNT_INFO_TTL = 60 * 1000; // 1 minute
+const accountInfoCache = new Map();
+
+/**
+ * getAccountInfo, cached for a minute per token (failed lookups are not cached)
+ * @param {string} accessToken - The access token
+ * @returns {Promise<{storage_used: number, storage_limit: number, remaining_space: number, username: string}>}
+ */
+async function getCachedAccountInfo(accessToken) {
+    const cached = accountInfoCache.get(accessToken);
+    if (cached && Date.now() - cached.timestamp < ACCOUNT_INFO_TTL) {
+        return cached.info;
+    }
+
+    const info = await getAccountInfo(accessToken);
+    if (!info.error) {
+        accountInfoCache.set(accessToken, { info, timestamp: Date.now() });
+    }
+    return info;
+}
+
 /**
  * Get user account information (legacy - use getAccountInfo instead)
  * @param {string} accessToken - The access token
  * @returns {Promise<Object>}
  */
 async function getUserInfo(accessToken) {
-    const formData = new URLSearchParams();
-    formData.append("access_token", accessToken);
-    formData.append("func", "get_settings");
-
-    const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-        headers: {
-            "Content-Type": "application/x-www-form-urlencoded"
-        }
-    });
-
-    return response.data;
+    return seedrClient.callResource(accessToken, "get_settings");
 }
 
 /**
  * Create a new folder in Seedr
  * @param {string} accessToken - The access token
  * @param {string} folderName - Name for the new folder
- * @returns {Promise<{result: boolean, folder_id?: string, error?: string}>}
+ * @returns {Promise<{result: boolean, folder_id?: string}>}
  */
 async function createFolder(accessToken, folderName) {
-    try {
-        const formData = new URLSearchParams();
-        formData.append("access_token", accessToken);
-        formData.append("func", "add_folder");
-        formData.append("name", folderName);
-
-        const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded"
-            },
-            timeout: 10000
-        });
-
-        console.log("Create folder response:", JSON.stringify(response.data));
-        return response.data;
-    } catch (error) {
-        console.error("Error creating folder:", {
-            message: error.message,
-            status: error.response?.status,
-            data: error.response?.data
-        });
-
-        return {
-            error: error.response?.data?.error || error.message,
-            status: error.response?.status
-        };
-    }
+    const result = await seedrClient.callResource(accessToken, "add_folder", { name: folderName }, { idempotent: false });
+    console.log("Create folder response:", JSON.stringify(result));
+    return result;
 }
 
 /**
  * Get a folder by name (for finding info_hash folders)
+ * Best-effort: returns null when the lookup fails, except when the token itself is rejected.
  * @param {string} accessToken - The access token
  * @param {string} folderName - Name to search for
  * @returns {Promise<Object|null>}
@@ -237,27 +259,71 @@ async function getFolderByName(accessToken, folderName) {
 
         return null;
     } catch (error) {
+        if (error instanceof seedrClient.AuthError) {
+            throw error;
+        }
         console.error("Error finding folder:", error.message);
         return null;
     }
 }
 
+/**
+ * Name of the folder a torrent is downloaded into (one folder per infoHash)
+ * @param {string} infoHash - Torrent info hash
+ * @returns {string}
+ */
+function torrentFolderName(infoHash) {
+    return infoHash.toLowerCase();
+}
+
+/**
+ * Check whether a folder is a per-infoHash torrent folder created by the addon
+ * @param {string} folderName - Folder name
+ * @returns {boolean}
+ */
+function isTorrentFolderName(folderName) {
+    return /^[a-f0-9]{40}$/.test(folderName || "");
+}
+
+/**
+ * Get the per-infoHash folder for a torrent, creating it if it doesn't exist
+ * @param {string} accessToken - The access token
+ * @param {string} infoHash - Torrent info hash
+ * @returns {Promise<{folder: Object, created: boolean}|null>}
+ */
+async function getOrCreateTorrentFolder(accessToken, infoHash) {
+    const folderName = torrentFolderName(infoHash);
+
+    const existing = await getFolderByName(accessToken, folderName);
+    if (existing) {
+        return { folder: existing, created: false };
+    }
+
+    try {
+        await createFolder(accessToken, folderName);
+    } catch (error) {
+        if (error instanceof seedrClient.AuthError) {
+            throw error;
+        }
+        console.error("Error creating folder:", error.message);
+        return null;
+    }
+
+    // add_folder doesn't reliably return the new ID, so look it up
+    const folder = await getFolderByName(accessToken, folderName);
+    return folder ? { folder, created: true } : null;
+}
+
 /**
  * Add a torrent file to Seedr for downloading
  * @param {string} accessToken - The access token
  * @param {Buffer|string} torrentFileContent - The torrent file content (base64 or binary)
  * @param {string} filename - Optional filename for the torrent
- * @returns {Promise<{result: boolean, user_torrent_id?: number, error?: string}>}
+ * @param {number} folderId - Target folder ID (-1 for root folder)
+ * @returns {Promise<{result: boolean, user_torrent_id?: number}>} Throws QuotaError when Seedr is full
  */
-async function addTorrentFile(accessToken, torrentFileContent, filename = "torrent.torrent") {
+async function addTorrentFile(accessToken, torrentFileContent, filename = "torrent.torrent", folderId = -1) {
     try {
-        const FormData = require('form-data');
-        const fs = require('fs');
-
-        const formData = new FormData();
-        formData.append("access_token", accessToken);
-        formData.append("func", "add_torrent");
-
         // Handle base64 encoded content
         let content = torrentFileContent;
         if (typeof torrentFileContent === 'string' && torrentFileContent.startsWith('data:')) {
@@ -271,27 +337,21 @@ async function addTorrentFile(accessToken, torrentFileContent, filename = "torre
             content = Buffer.from(torrentFileContent, 'base64');
         }
 
-        formData.append("torrent_file", content, filename);
-
-        const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-            headers: formData.getHeaders(),
-            timeout: 10000
+        const result = await seedrClient.callResource(accessToken, "add_torrent", { folder_id: folderId }, {
+            file: { field: "torrent_file", content, filename },
+            idempotent: false
         });
 
-        console.log("Add torrent file response:", JSON.stringify(response.data));
-        return response.data;
+        console.log("Add torrent file response:", JSON.stringify(result));
+        return result;
     } catch (error) {
         console.error("Error adding torrent file:", {
             message: error.message,
-            status: error.response?.status,
-            data: error.response?.data,
+            status: error.httpStatus,
+            data: error.data,
             filename: filename
         });
-
-        return {
-            error: error.response?.data?.error || error.message,
-            status: error.response?.status
-        };
+        throw error;
     }
 }
 
@@ -300,33 +360,19 @@ async function addTorrentFile(accessToken, torrentFileContent, filename = "torre
  * @param {string} accessToken - The access token
  * @param {string} magnetLink - The magnet URI to add
  * @param {number} folderId - Target folder ID (-1 for root folder)
- * @returns {Promise<{result: boolean, user_torrent_id?: number, error?: string}>}
+ * @returns {Promise<{result: boolean, user_torrent_id?: number}>} Throws QuotaError when Seedr is full
  */
 async function addMagnet(accessToken, magnetLink, folderId = -1) {
-    const formData = new URLSearchParams();
-    formData.append("access_token", accessToken);
-    formData.append("func", "add_torrent");
-    formData.append("torrent_magnet", magnetLink);
-    formData.append("folder_id", folderId.toString());
-
-    const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-        headers: {
-            "Content-Type": "application/x-www-form-urlencoded"
-        }
-    });
-
-    const result = response.data;
-
-    if (result.error) {
-        throw new Error(`Failed to add magnet: ${result.error}`);
-    }
-
-    return result;
+    return seedrClient.callResource(accessToken, "add_torrent", {
+        torrent_magnet: magnetLink,
+        folder_id: folderId
+    }, { idempotent: false });
 }
 
 /**
  * Get active transfers (downloading torrents) from Seedr
  * The transfers are included in the root folder response
+ * Best-effort: returns [] when the listing fails, except when the token itself is rejected.
  * @param {string} accessToken - The access token
  * @returns {Promise<Array<{id: number, name: string, progress: number, size: number}>>}
  */
@@ -335,53 +381,72 @@ async function getActiveTransfers(accessToken) {
         const folderData = await getFolder(accessToken, null);
         return folderData.transfers || [];
     } catch (error) {
+        if (error instanceof seedrClient.AuthError) {
+            throw error;
+        }
         console.error("Error getting active transfers:", error.message);
         return [];
     }
 }
 
+/**
+ * Get the info hash of a transfer, if Seedr reported one
+ * @param {Object} transfer - Transfer from the folder listing
+ * @returns {string|null} Lowercase info hash
+ */
+function getTransferHash(transfer) {
+    const hash = transfer.hash || transfer.torrent_hash || transfer.info_hash;
+    if (hash) {
+        return String(hash).toLowerCase();
+    }
+
+    const magnetHash = (transfer.magnet || "").match(/btih:([a-f0-9]{40})/i);
+    return magnetHash ? magnetHash[1].toLowerCase() : null;
+}
+
+/**
+ * Find a transfer by info hash or by the user_torrent_id returned from add_torrent
+ * @param {Array} transfers - Transfers from getActiveTransfers
+ * @param {{infoHash?: string, torrentId?: string|number}} ids
+ * @returns {Object|null}
+ */
+function findTransfer(transfers, { infoHash, torrentId } = {}) {
+    return transfers.find(t => {
+        if (torrentId && String(t.user_torrent_id || t.id) === String(torrentId)) return true;
+        return !!infoHash && getTransferHash(t) === infoHash.toLowerCase();
+    }) || null;
+}
+
 /**
  * Get wishlist (torrents waiting to be downloaded)
+ * Best-effort: returns [] when Seedr doesn't provide one.
  * @param {string} accessToken - The access token
  * @returns {Promise<Array<{id: number, title: string, size: number, torrent_hash: string}>>}
  */
 async function getWishlist(accessToken) {
     try {
-        const formData = new URLSearchParams();
-        formData.append("access_token", accessToken);
-        // Try multiple possible function names since we're getting 500 errors
-        formData.append("func", "get_wish_list");
-
-        const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded"
-            },
-            timeout: 10000
-        });
+        const data = await seedrClient.callResource(accessToken, "get_wish_list", {}, { timeout: 10000 });
 
-        console.log("Wishlist API response:", JSON.stringify(response.data).substring(0, 300));
+        console.log("Wishlist API response:", JSON.stringify(data).substring(0, 300));
 
         // Handle different response formats
-        if (response.data.wish_list && Array.isArray(response.data.wish_list)) {
-            return response.data.wish_list;
-        } else if (response.data.result && typeof response.data.result === "object") {
+        if (data.wish_list && Array.isArray(data.wish_list)) {
+            return data.wish_list;
+        } else if (data.result && typeof data.result === "object") {
             // Maybe the result itself contains wishlist data
-            if (Array.isArray(response.data.result)) {
-                return response.data.result;
+            if (Array.isArray(data.result)) {
+                return data.result;
             }
             return [];
-        } else if (Array.isArray(response.data)) {
-            return response.data;
-        } else if (response.data.result === false && response.data.error) {
-            console.log("Wishlist API error:", response.data.error);
-            return [];
+        } else if (Array.isArray(data)) {
+            return data;
         }
 
         return [];
     } catch (error) {
         // If get_wish_list fails with 500, it means the endpoint may not exist
         // Try fallback: get folder data which might contain wishlist info
-        console.warn("Main wishlist API failed, trying fallback...", error.response?.status);
+        console.warn("Main wishlist API failed, trying fallback...", error.httpStatus || error.message);
 
         try {
             const folderData = await getFolder(accessToken, null);
@@ -400,27 +465,17 @@ async function getWishlist(accessToken) {
 
 /**
  * Promote a torrent from wishlist to active downloads
+ * Best-effort: failures return result false.
  * @param {string} accessToken - The access token
  * @param {number} wishlistId - The wishlist item ID
  * @returns {Promise<{result: boolean, error?: string}>}
  */
 async function promoteFromWishlist(accessToken, wishlistId) {
     try {
-        const formData = new URLSearchParams();
-        formData.append("access_token", accessToken);
-        // Try the most likely function name based on other API patterns
-        formData.append("func", "start_wish");
-        formData.append("wish_id", wishlistId);
-
-        const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded"
-            },
-            timeout: 10000
-        });
+        const data = await seedrClient.callResource(accessToken, "start_wish", { wish_id: wishlistId }, { timeout: 10000 });
 
-        console.log("✓ Promote wishlist response:", JSON.stringify(response.data).substring(0, 200));
-        return response.data;
+        console.log("✓ Promote wishlist response:", JSON.stringify(data).substring(0, 200));
+        return data;
     } catch (error) {
         // If start_wish fails, the API might not support promotion
         // This is not necessarily an error - Seedr may auto-promote when space available
@@ -436,25 +491,14 @@ async function promoteFromWishlist(accessToken, wishlistId) {
 
 /**
  * Delete a torrent from wishlist
+ * Best-effort: failures return "error".
  * @param {string} accessToken - The access token
  * @param {number} wishlistId - The wishlist item ID
  * @returns {Promise<{result: boolean, error?: string}>}
  */
 async function deleteFromWishlist(accessToken, wishlistId) {
     try {
-        const formData = new URLSearchParams();
-        formData.append("access_token", accessToken);
-        formData.append("func", "wish_delete");
-        formData.append("wish_id", wishlistId);
-
-        const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded"
-            },
-            timeout: 10000
-        });
-
-        return response.data;
+        return await seedrClient.callResource(accessToken, "wish_delete", { wish_id: wishlistId }, { timeout: 10000 });
     } catch (error) {
         console.error("Error deleting from wishlist:", error.message);
         return {
@@ -470,18 +514,9 @@ async function deleteFromWishlist(accessToken, wishlistId) {
  * @returns {Promise<Object>}
  */
 async function deleteFolder(accessToken, folderId) {
-    const formData = new URLSearchParams();
-    formData.append("access_token", accessToken);
-    formData.append("func", "delete");
-    formData.append("delete_arr", JSON.stringify([{ type: "folder", id: folderId }]));
-
-    const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-        headers: {
-            "Content-Type": "application/x-www-form-urlencoded"
-        }
+    return seedrClient.callResource(accessToken, "delete", {
+        delete_arr: JSON.stringify([{ type: "folder", id: folderId }])
     });
-
-    return response.data;
 }
 
 /**
@@ -491,23 +526,17 @@ async function deleteFolder(accessToken, folderId) {
  * @returns {Promise<Object>}
  */
 async function deleteTorrent(accessToken, torrentId) {
-    const formData = new URLSearchParams();
-    formData.append("access_token", accessToken);
-    formData.append("func", "delete");
-    formData.append("delete_arr", JSON.stringify([{ type: "torrent", id: torrentId.toString() }]));
-
-    const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-        headers: {
-            "Content-Type": "application/x-www-form-urlencoded"
-        }
+    const result = await seedrClient.callResource(accessToken, "delete", {
+        delete_arr: JSON.stringify([{ type: "torrent", id: torrentId.toString() }])
     });
 
-    console.log("Delete torrent response:", JSON.stringify(response.data));
-    return response.data;
+    console.log("Delete torrent response:", JSON.stringify(result));
+    return result;
 }
 
 /**
  * Clear ALL files, folders, and active transfers from Seedr account
+ * Best-effort: failures return result false with "error".
  * @param {string} accessToken - The access token
  * @returns {Promise<{result: boolean, deleted_count: number}>}
  */
@@ -552,16 +581,11 @@ async function clearAccount(accessToken) {
 
         console.log(`🗑️  Deleting ${contentToDelete.length} items...`);
 
-        const formData = new URLSearchParams();
-        formData.append("access_token", accessToken);
-        formData.append("func", "delete");
-        formData.append("delete_arr", JSON.stringify(contentToDelete));
-
-        const response = await axios.post(`${SEEDR_BASE_URL}/oauth_test/resource.php`, formData, {
-            headers: { "Content-Type": "application/x-www-form-urlencoded" }
+        const result = await seedrClient.callResource(accessToken, "delete", {
+            delete_arr: JSON.stringify(contentToDelete)
         });
 
-        console.log("Cleanup response:", JSON.stringify(response.data));
+        console.log("Cleanup response:", JSON.stringify(result));
         return { result: true, deleted_count: contentToDelete.length };
 
     } catch (error) {
@@ -576,10 +600,16 @@ module.exports = {
     getFolder,
     getAllVideoFiles,
     getStreamUrl,
+    getStreamUrlExpiry,
+    isStreamUrlValid,
     getUserInfo,
     getAccountInfo,
+    getCachedAccountInfo,
     createFolder,
     getFolderByName,
+    torrentFolderName,
+    isTorrentFolderName,
+    getOrCreateTorrentFolder,
     addMagnet,
     addTorrentFile,
     getWishlist,
@@ -588,31 +618,37 @@ module.exports = {
     deleteTorrent,
     clearAccount,
     getActiveTransfers,
+    getTransferHash,
+    findTransfer,
     deleteFolder,
+    getAuthFailure,
     validateCredentials
 };
 
+/**
+ * Tell whether a failed Seedr request failed because the token stopped working
+ * @param {Error} error - Error thrown by a Seedr API call
+ * @returns {"expired"|"invalid"|null} null for anything that isn't an auth failure (network, 5xx, ...)
+ */
+function getAuthFailure(error) {
+    return error instanceof seedrClient.AuthError ? error.reason : null;
+}
+
 /**
  * Validate Seedr credentials by making a simple API call
  * @param {string} accessToken - The access token to validate
- * @returns {Promise<{status: string, message?: string}>}
+ * @returns {Promise<{status: string, authFailure?: "expired"|"invalid"|null, message?: string}>}
+ *   authFailure is set when the token itself is the problem, null for temporary errors
  */
 async function validateCredentials(accessToken) {
     try {
-        // Try to get account info - this validates the token is valid
-        const accountInfo = await getAccountInfo(accessToken);
-
-        if (accountInfo.error) {
-            return {
-                status: "error",
-                message: `Failed to validate Seedr credentials: ${accountInfo.error}`
-            };
-        }
-
+        // Listing the root folder fails with 401 for revoked or expired tokens
+        await getFolder(accessToken, null);
         return { status: "success" };
     } catch (error) {
         return {
             status: "error",
+            authFailure: getAuthFailure(error),
             message: `Failed to validate Seedr credentials: ${error.message}`
         };
     }
@@ -0,0 +1,292 @@
+const axios = require("axios");
+const FormData = require("form-data");
+
+// ============================================
+// Seedr Client - the one request layer every Seedr API call goes through
+// ============================================
+// Gives all calls the same timeout, retries 5xx and network errors with jittered
+// backoff, spaces out requests per token, and turns failures into typed errors.
+const SEEDR_BASE_URL = "https://www.seedr.cc";
+const RESOURCE_PATH = "/oauth_test/resource.php";
+const REQUEST_TIMEOUT = parseInt(process.env.SEEDR_TIMEOUT_MS, 10) || 15000;
+const MAX_RETRIES = parseInt(process.env.SEEDR_MAX_RETRIES, 10) || 3;
+const RETRY_BASE_DELAY = 500; // doubled on every attempt
+const RETRY_MAX_DELAY = 8000;
+// At most one request per token every MIN_REQUEST_INTERVAL ms
+const MIN_REQUEST_INTERVAL = parseInt(process.env.SEEDR_MIN_INTERVAL_MS, 10) || 200;
+
+// OAuth error codes Seedr answers with when a token no longer works
+const AUTH_ERROR_CODES = ["invalid_token", "expired_token", "invalid_grant", "access_denied"];
+// add_torrent "succeeds" with these when the torrent only made it to the wishlist
+const QUOTA_RESULTS = {
+    not_enough_space_added_to_wishlist: "space",
+    queue_full_added_to_wishlist: "queue"
+};
+// Network errors where the request never reached Seedr, so even adds are safe to retry
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+// ============================================
+// Errors
+// ============================================
+// "status" is what the addon answers with (see jobManager.JobError), "httpStatus" what Seedr sent
+
+class SeedrError extends Error {
+    constructor(message, { status = 502, httpStatus = null, code = null, data = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.httpStatus = httpStatus;
+        this.code = code;
+        this.data = data;
+        this.error = "Seedr request failed";
+    }
+}
+
+// The token was revoked or expired
+class AuthError extends SeedrError {
+    constructor(message, details = {}) {
+        super(message, { ...details, status: 401 });
+        const description = `${details.code || ""} ${message}`.toLowerCase();
+        this.reason = description.includes("expired") ? "expired" : "invalid";
+        this.error = "Seedr login no longer valid";
+    }
+}
+
+// Not enough storage space, or the transfer queue is full
+class QuotaError extends SeedrError {
+    constructor(message, details = {}) {
+        super(message, { ...details, status: 507 });
+        this.kind = details.kind || "space"; // "space" | "queue"
+        this.error = "Storage full or queue full";
+    }
+}
+
+class NotFoundError extends SeedrError {
+    constructor(message, details = {}) {
+        super(message, { ...details, status: 404 });
+        this.error = "Not found in Seedr";
+    }
+}
+
+class RateLimited extends SeedrError {
+    constructor(message, details = {}) {
+        super(message, { ...details, status: 429 });
+        this.retryAfter = details.retryAfter || null; // seconds
+        this.error = "Seedr rate limit";
+    }
+}
+
+/**
+ * Turn a Seedr error message into the matching error type
+ */
+function classifyMessage(message, details) {
+    const text = `${details.code || ""} ${message}`.toLowerCase();
+
+    if (AUTH_ERROR_CODES.includes(details.code) || /token|unauthori[sz]ed/.test(text)) {
+        return new AuthError(message, details);
+    }
+    if (/queue/.test(text)) {
+        return new QuotaError(message, { ...details, kind: "queue" });
+    }
+    if (/space|storage|quota/.test(text)) {
+        return new QuotaError(message, { ...details, kind: "space" });
+    }
+    if (/not.?found|not exist|no such/.test(text)) {
+        return new NotFoundError(message, details);
+    }
+    return new SeedrError(message, details);
+}
+
+/**
+ * Typed error for a failed axios request
+ */
+function fromAxiosError(error) {
+    const response = error.response;
+    if (!response) {
+        return new SeedrError(error.message, { code: error.code || null });
+    }
+
+    const data = response.data && typeof response.data === "object" ? response.data : {};
+    const code = typeof data.error === "string" ? data.error : null;
+    const message = data.error_description || code || error.message;
+    const details = { httpStatus: response.status, code, data };
+
+    if (response.status === 401 || AUTH_ERROR_CODES.includes(code)) {
+        return new AuthError(message, details);
+    }
+    if (response.status === 404) {
+        return new NotFoundError(message, details);
+    }
+    if (response.status === 429) {
+        const retryAfter = parseInt(response.headers && response.headers["retry-after"], 10) || null;
+        return new RateLimited(message, { ...details, retryAfter });
+    }
+    if (response.status >= 500) {
+        return new SeedrError(message, details);
+    }
+    return classifyMessage(message, details);
+}
+
+/**
+ * Typed error for a resource.php answer that reports a failure in its body, or null
+ */
+function fromResourceResult(func, data) {
+    if (!data || typeof data !== "object") {
+        return null;
+    }
+
+    if (QUOTA_RESULTS[data.result]) {
+        return new QuotaError(`Space/Queue full (code: ${data.result})`, { code: data.result, data, kind: QUOTA_RESULTS[data.result] });
+    }
+    if (data.result === false || (typeof data.error === "string" && data.error)) {
+        return classifyMessage(`${func} failed: ${data.error || "unknown error"}`, { code: data.error || null, data, status: 502 });
+    }
+    return null;
+}
+
+function isRetryable(error, idempotent) {
+    if (error instanceof RateLimited) {
+        return true;
+    }
+    if (error.httpStatus === null) {
+        // Network error or timeout - an add may already have gone through
+        return idempotent || NOT_SENT_CODES.includes(error.code);
+    }
+    return error.httpStatus >= 500 && (idempotent || error.httpStatus === 503);
+}
+
+// ============================================
+// Rate Limiting & Backoff
+// ============================================
+const nextSlot = new Map(); // token -> earliest time for its next request
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForSlot(accessToken) {
+    if (!accessToken) {
+        return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(accessToken) || 0);
+    nextSlot.set(accessToken, slot + MIN_REQUEST_INTERVAL);
+
+    // Forget tokens that have been quiet for a while
+    if (nextSlot.size > 1000) {
+        for (const [token, time] of nextSlot) {
+            if (time < now) nextSlot.delete(token);
+        }
+    }
+
+    if (slot > now) {
+        await sleep(slot - now);
+    }
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function backoffDelay(attempt, error) {
+    if (error instanceof RateLimited && error.retryAfter) {
+        return Math.min(error.retryAfter * 1000, RETRY_MAX_DELAY);
+    }
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Send a request to Seedr with rate limiting, retries and typed errors
+ * @param {string|null} accessToken - Token to rate-limit on (null for unauthenticated calls)
+ * @param {function(): Object} buildConfig - Returns the axios request config; called again for every attempt
+ * @param {{idempotent?: boolean, label?: string}} options - Non-idempotent requests (adds) are only
+ *   retried when they can't have reached Seedr
+ * @returns {Promise<Object>} Response data
+ */
+async function send(accessToken, buildConfig, { idempotent = true, label = "Seedr request" } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        await waitForSlot(accessToken);
+
+        try {
+            const response = await axios.request({ timeout: REQUEST_TIMEOUT, ...buildConfig() });
+            return response.data;
+        } catch (rawError) {
+            const error = fromAxiosError(rawError);
+            if (attempt >= MAX_RETRIES || !isRetryable(error, idempotent)) {
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt, error);
+            console.warn(`🔁 ${label} failed (${error.message}), retrying in ${Math.round(delay)}ms...`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * GET a Seedr REST endpoint
+ * @param {string} path - e.g. "/api/folder/123"
+ * @param {{accessToken?: string, params?: Object, timeout?: number}} options
+ * @returns {Promise<Object>}
+ */
+function get(path, { accessToken = null, params = {}, timeout } = {}) {
+    return send(accessToken, () => ({
+        method: "get",
+        url: `${SEEDR_BASE_URL}${path}`,
+        params: accessToken ? { access_token: accessToken, ...params } : params,
+        ...(timeout ? { timeout } : {})
+    }), { label: `GET ${path}` });
+}
+
+/**
+ * Call a resource.php function
+ * Answers that report a failure in their body (result: false, error, wishlist codes) throw too.
+ * @param {string} accessToken - The access token
+ * @param {string} func - e.g. "fetch_file"
+ * @param {Object} fields - Extra form fields
+ * @param {{file?: {field: string, content: Buffer, filename: string}, idempotent?: boolean, timeout?: number}} options
+ *   file switches to a multipart upload
+ * @returns {Promise<Object>}
+ */
+async function callResource(accessToken, func, fields = {}, { file = null, idempotent = true, timeout } = {}) {
+    const buildConfig = () => {
+        let data;
+        let headers;
+        if (file) {
+            data = new FormData();
+            data.append("access_token", accessToken);
+            data.append("func", func);
+            for (const [name, value] of Object.entries(fields)) {
+                data.append(name, String(value));
+            }
+            data.append(file.field, file.content, file.filename);
+            headers = data.getHeaders();
+        } else {
+            data = new URLSearchParams({ access_token: accessToken, func, ...fields });
+            headers = { "Content-Type": "application/x-www-form-urlencoded" };
+        }
+
+        return {
+            method: "post",
+            url: `${SEEDR_BASE_URL}${RESOURCE_PATH}`,
+            data,
+            headers,
+            ...(timeout ? { timeout } : {})
+        };
+    };
+
+    const result = await send(accessToken, buildConfig, { idempotent, label: func });
+    const error = fromResourceResult(func, result);
+    if (error) {
+        throw error;
+    }
+    return result;
+}
+
+module.exports = {
+    SEEDR_BASE_URL,
+    SeedrError,
+    AuthError,
+    QuotaError,
+    NotFoundError,
+    RateLimited,
+    get,
+    callResource
+};
@@ -1,6 +1,20 @@
 const express = require("express");
 const addon = require("./addon");
 const seedrApi = require("./seedrApi");
+const seedrClient = require("./seedrClient");
+const torrentIndex = require("./torrentIndex");
+const subtitles = require("./subtitles");
+const addonConfig = require("./config");
+const torrentioApi = require("./torrentioApi");
+const streamProviders = require("./streamProviders");
+const fileSelector = require("./fileSelector");
+const jobManager = require("./jobManager");
+const resolver = require("./resolver");
+const eviction = require("./eviction");
+const store = require("./store");
+const installs = require("./installs");
+const accounts = require("./accounts");
+const placeholderVideo = require("./placeholderVideo");
 
 const app = express();
 app.set('trust proxy', true);
@@ -13,6 +27,208 @@ app.use((req, res, next) => {
     next();
 });
 
+// ============================================
+// Stream Preferences Form (shared by both configure pages)
+// ============================================
+const AUDIO_LANGUAGE_OPTIONS = [
+    ["", "No preference"], ["eng", "English"], ["ita", "Italian"], ["spa", "Spanish"],
+    ["fre", "French"], ["ger", "German"], ["por", "Portuguese"], ["rus", "Russian"],
+    ["hin", "Hindi"], ["jpn", "Japanese"], ["kor", "Korean"]
+];
+
+// Suggested exclusions for new installs
+const SUGGESTED_EXCLUDE_KEYWORDS = ["CAM", "HDCAM", "TS", "TELESYNC"];
+
+/**
+ * Render the stream preferences form, prefilled with the given preferences
+ * @param {Object} prefs - Normalized preferences
+ * @returns {string}
+ */
+function renderPreferencesForm(prefs) {
+    const resolutionBoxes = addonConfig.DEFAULT_PREFERENCES.resolutions.map(resolution => `
+                <label><input type="checkbox" name="resolution" value="${resolution}" ${prefs.resolutions.includes(resolution) ? "checked" : ""}> ${resolution}</label>`).join("");
+    const hdrOptions = [["any", "No preference"], ["prefer", "Prefer HDR/DV"], ["avoid", "Rank HDR/DV lower"], ["exclude", "Hide HDR/DV"]]
+        .map(([value, label]) => `<option value="${value}" ${prefs.hdr === value ? "selected" : ""}>${label}</option>`).join("");
+    const languageOptions = AUDIO_LANGUAGE_OPTIONS
+        .map(([value, label]) => `<option value="${value}" ${prefs.audioLanguage === value ? "selected" : ""}>${label}</option>`).join("");
+
+    return `
+        <style>
+            .prefs { text-align: left; margin: 20px 0; padding: 20px; background: rgba(0,0,0,0.2); border-radius: 12px; }
+            .prefs h3 { font-size: 1rem; margin-bottom: 12px; color: #4ade80; }
+            .prefs .field { margin-bottom: 12px; color: #cbd5e1; font-size: 0.9rem; }
+            .prefs .field > span { display: block; margin-bottom: 4px; }
+            .prefs label { margin-right: 12px; }
+            .prefs input[type=number], .prefs input[type=text], .prefs select {
+                width: 100%; padding: 8px; border: none; border-radius: 6px; background: rgba(0,0,0,0.3); color: #fff;
+            }
+        </style>
+        <div class="prefs" id="prefs">
+            <h3>⚙️ Stream Preferences</h3>
+            <div class="field"><span>Allowed resolutions</span>${resolutionBoxes}
+            </div>
+            <div class="field"><span>Max size (GB, 0 = no limit)</span>
+                <input type="number" id="pref-max-size" min="0" step="0.5" value="${prefs.maxSizeGB}">
+            </div>
+            <div class="field"><span>HDR / Dolby Vision</span>
+                <select id="pref-hdr">${hdrOptions}</select>
+            </div>
+            <div class="field"><span>Exclude keywords (comma separated)</span>
+                <input type="text" id="pref-exclude" value="${escapeHtml(prefs.excludeKeywords.join(", "))}">
+            </div>
+            <div class="field"><span>Preferred audio language</span>
+                <select id="pref-language">${languageOptions}</select>
+            </div>
+            <div class="field"><span>Max results (0 = show all)</span>
+                <input type="number" id="pref-max-results" min="0" step="1" value="${prefs.maxResults}">
+            </div>
+        </div>`;
+}
+
+/**
+ * Render the Torrentio upstream options form, prefilled with the given options
+ * @param {Object} options - Normalized Torrentio options
+ * @returns {string}
+ */
+function renderTorrentioForm(options) {
+    const checkboxes = (name, values, selected) => values.map(value => `
+                <label><input type="checkbox" name="${name}" value="${value}" ${selected.includes(value) ? "checked" : ""}> ${value}</label>`).join("");
+    const sortOptions = [["", "Torrentio default"], ...torrentioApi.TORRENTIO_SORTS.map(sort => [sort, sort])]
+        .map(([value, label]) => `<option value="${value}" ${options.sort === value ? "selected" : ""}>${label}</option>`).join("");
+    const languageOptions = torrentioApi.TORRENTIO_LANGUAGES
+        .map(language => `<option value="${language}" ${options.language.includes(language) ? "selected" : ""}>${language}</option>`).join("");
+
+    return `
+        <div class="prefs" id="torrentio-prefs">
+            <h3>🧲 Torrentio Options</h3>
+            <div class="field"><span>Providers (none checked = Torrentio default)</span>${checkboxes("torrentio-provider", torrentioApi.TORRENTIO_PROVIDERS, options.providers)}
+            </div>
+            <div class="field"><span>Sorting</span>
+                <select id="torrentio-sort">${sortOptions}</select>
+            </div>
+            <div class="field"><span>Exclude qualities</span>${checkboxes("torrentio-quality", torrentioApi.TORRENTIO_QUALITY_FILTERS, options.qualityfilter)}
+            </div>
+            <div class="field"><span>Priority foreign languages (Ctrl/Cmd-click for several)</span>
+                <select id="torrentio-language" multiple size="5">${languageOptions}</select>
+            </div>
+            <div class="field"><span>Torrentio URL (blank = ${escapeHtml(torrentioApi.buildBaseUrl())}; public hosts only)</span>
+                <input type="text" id="torrentio-base-url" placeholder="https://torrentio.example.com" value="${escapeHtml(options.baseUrl)}">
+            </div>
+        </div>`;
+}
+
+/**
+ * Render the stream sources form (Torrentio on/off, extra Stremio addons, timeout)
+ * @param {{torrentio: boolean, addons: string[], timeout: number}} sources - Normalized sources
+ * @returns {string}
+ */
+function renderSourcesForm(sources) {
+    return `
+        <div class="prefs" id="sources-prefs">
+            <h3>🔌 Stream Sources</h3>
+            <div class="field">
+                <label><input type="checkbox" id="source-torrentio" ${sources.torrentio ? "checked" : ""}> Torrentio</label>
+            </div>
+            <div class="field"><span>Other Stremio addons returning torrents (one URL per line)</span>
+                <textarea id="source-addons" rows="3" style="width: 100%; padding: 8px; border: none; border-radius: 6px; background: rgba(0,0,0,0.3); color: #fff;">${escapeHtml(sources.addons.join("\n"))}</textarea>
+            </div>
+            <div class="field"><span>Timeout per source (seconds)</span>
+                <input type="number" id="source-timeout" min="1" max="60" step="1" value="${sources.timeout}">
+            </div>
+        </div>`;
+}
+
+/**
+ * Render the storage form (what to delete when Seedr is full)
+ * @param {{eviction: string}} storage - Normalized storage settings
+ * @returns {string}
+ */
+function renderStorageForm(storage) {
+    const labels = {
+        never: "Never delete anything (adding fails when full)",
+        lru: "Delete least recently played downloads first",
+        oldest: "Delete oldest downloads first",
+        "clear-all": "Clear the entire Seedr account"
+    };
+    const options = eviction.EVICTION_POLICIES
+        .map(policy => `<option value="${policy}" ${storage.eviction === policy ? "selected" : ""}>${labels[policy]}</option>`).join("");
+
+    return `
+        <div class="prefs" id="storage-prefs">
+            <h3>💾 When Seedr Is Full</h3>
+            <div class="field"><span>Only downloads made by this addon are deleted, except with "Clear the entire Seedr account"</span>
+                <select id="storage-eviction">${options}</select>
+            </div>
+        </div>`;
+}
+
+// Client-side helpers to read the form and encode { install, prefs, torrentio, sources, storage } like config.js does
+const PREFERENCES_SCRIPT = `
+        function readPreferences() {
+            return {
+                resolutions: Array.from(document.querySelectorAll('input[name=resolution]:checked')).map(el => el.value),
+                maxSizeGB: parseFloat(document.getElementById('pref-max-size').value) || 0,
+                hdr: document.getElementById('pref-hdr').value,
+                excludeKeywords: document.getElementById('pref-exclude').value.split(',').map(k => k.trim()).filter(Boolean),
+                audioLanguage: document.getElementById('pref-language').value,
+                maxResults: parseInt(document.getElementById('pref-max-results').value, 10) || 0
+            };
+        }
+
+        function readTorrentioOptions() {
+            const checked = name => Array.from(document.querySelectorAll('input[name=' + name + ']:checked')).map(el => el.value);
+            return {
+                providers: checked('torrentio-provider'),
+                sort: document.getElementById('torrentio-sort').value,
+                qualityfilter: checked('torrentio-quality'),
+                language: Array.from(document.getElementById('torrentio-language').selectedOptions).map(el => el.value),
+                baseUrl: document.getElementById('torrentio-base-url').value.trim()
+            };
+        }
+
+        function readSources() {
+            return {
+                torrentio: document.getElementById('source-torrentio').checked,
+                addons: document.getElementById('source-addons').value.split('\\n').map(u => u.trim()).filter(Boolean),
+                timeout: parseInt(document.getElementById('source-timeout').value, 10) || 10
+            };
+        }
+
+        function readStorage() {
+            return {
+                eviction: document.getElementById('storage-eviction').value
+            };
+        }
+
+        function encodeConfig(install) {
+            const json = JSON.stringify({
+                install: install,
+                prefs: readPreferences(),
+                torrentio: readTorrentioOptions(),
+                sources: readSources(),
+                storage: readStorage()
+            });
+            let binary = '';
+            new TextEncoder().encode(json).forEach(b => { binary += String.fromCharCode(b); });
+            return btoa(binary).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+        }
+
+        function onPreferencesChange(callback) {
+            document.querySelectorAll('.prefs input, .prefs select, .prefs textarea').forEach(el => {
+                el.addEventListener('change', callback);
+                el.addEventListener('input', callback);
+            });
+        }
+`;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
 // ============================================
 // Configuration Page - Device Code Authorization
 // ============================================
@@ -177,6 +393,10 @@ app.get("/configure", async (req, res) => {
                 <button onclick="copyUrl()" class="copy-btn" id="copy-btn">📋 Copy</button>
             </div>
             <a id="install-btn" href="#" class="btn">Install in Stremio</a>
+            ${renderPreferencesForm({ ...addonConfig.DEFAULT_PREFERENCES, excludeKeywords: SUGGESTED_EXCLUDE_KEYWORDS })}
+            ${renderTorrentioForm(torrentioApi.normalizeOptions())}
+            ${renderSourcesForm(streamProviders.normalizeSources())}
+            ${renderStorageForm(eviction.normalizeStorage())}
         </div>
         
         <div id="error" class="hidden">
@@ -191,7 +411,8 @@ app.get("/configure", async (req, res) => {
         const baseUrl = window.location.origin;
         let deviceCode = null;
         let pollInterval = null;
-        
+        let installId = null;
+        ${PREFERENCES_SCRIPT}        
         async function startAuth() {
             try {
                 // Get device code
@@ -219,25 +440,32 @@ app.get("/configure", async (req, res) => {
         
         async function pollForAuth() {
             try {
-                const response = await fetch('/api/poll-token?device_code=' + encodeURIComponent(deviceCode));
+                // Adding an account to an existing install (from its configure page) passes ?install=
+                const addTo = new URLSearchParams(window.location.search).get('install') || '';
+                const response = await fetch('/api/poll-token?device_code=' + encodeURIComponent(deviceCode) + '&install=' + encodeURIComponent(addTo));
                 const data = await response.json();
                 
-                if (data.access_token) {
+                if (data.install) {
                     clearInterval(pollInterval);
-                    showSuccess(data.access_token);
+                    showSuccess(data.install);
                 }
             } catch (error) {
                 // Continue polling
             }
         }
         
-        function showSuccess(token) {
+        function showSuccess(install) {
             document.getElementById('auth-steps').classList.add('hidden');
             document.getElementById('success').classList.remove('hidden');
             
-            // Create Stremio install URL with token
-            const encodedToken = encodeURIComponent(token);
-            const manifestUrl = baseUrl + '/' + encodedToken + '/manifest.json';
+            installId = install;
+            updateInstallUrls();
+            onPreferencesChange(updateInstallUrls);
+        }
+        
+        function updateInstallUrls() {
+            // Create Stremio install URL with the install ID and stream preferences
+            const manifestUrl = baseUrl + '/' + encodeConfig(installId) + '/manifest.json';
             const stremioUrl = 'stremio://' + manifestUrl.replace(/^https?:\\/\\//, '');
             
             document.getElementById('manifest-url').value = manifestUrl;
@@ -297,7 +525,16 @@ app.get("/api/poll-token", async (req, res) => {
         }
 
         const data = await seedrApi.pollForToken(deviceCode);
-        res.json(data || { pending: true });
+        if (!data) {
+            return res.json({ pending: true });
+        }
+
+        // The token stays on the server; the browser only gets the install ID for the addon URL
+        const install = req.query.install && installs.addAccount(req.query.install, data.access_token);
+        if (install) {
+            return res.json({ install });
+        }
+        res.json({ install: installs.createInstall(data.access_token) });
     } catch (error) {
         console.error("Error polling for token:", error.message);
         res.json({ error: error.message });
@@ -307,9 +544,29 @@ app.get("/api/poll-token", async (req, res) => {
 // ============================================
 // Token-based Addon Routes
 // ============================================
+// Revoked and unknown install IDs get no further than this
+app.param("token", (req, res, next, token) => {
+    const config = addonConfig.parseConfig(token);
+    if (config.revoked) {
+        return res.status(401).json({
+            error: "Addon URL revoked",
+            message: "This addon URL was revoked. Install the addon again from /configure."
+        });
+    }
+    if (config.unknownInstall) {
+        return res.status(401).json({
+            error: "Addon URL not recognized",
+            message: "This server doesn't know this addon URL - its saved installs were probably reset (e.g. by a redeploy). Install the addon again from /configure."
+        });
+    }
+    next();
+});
+
 // Handle configure page with token (redirect to main configure or show reconfigure option)
 app.get("/:token/configure", (req, res) => {
-    const token = req.params.token;
+    const config = addonConfig.parseConfig(req.params.token);
+    // Older installs carry the raw token; the page swaps it for an opaque URL (POST /:token/upgrade)
+    const install = config.install;
     res.send(`
 <!DOCTYPE html>
 <html lang="en">
@@ -371,7 +628,7 @@ app.get("/:token/configure", (req, res) => {
         </div>
         
         <p style="margin: 20px 0; color: #94a3b8;">
-            Your Seedr account is linked. You can browse your files in Stremio under "My Seedr Files".
+            ${config.tokens.length > 1 ? `${config.tokens.length} Seedr accounts are linked` : "Your Seedr account is linked"}. You can browse your files in Stremio under "My Seedr Files".
         </p>
         
         <div style="margin: 20px 0;">
@@ -384,8 +641,15 @@ app.get("/:token/configure", (req, res) => {
             <button onclick="copyUrl()" id="copy-btn" style="padding: 12px 16px; border: none; border-radius: 8px; background: #60a5fa; color: #1a1a2e; font-weight: bold; cursor: pointer;">📋 Copy</button>
         </div>
         
+        ${renderPreferencesForm(config.prefs)}
+        ${renderTorrentioForm(config.torrentio)}
+        ${renderSourcesForm(config.sources)}
+        ${renderStorageForm(config.storage)}
+        
         <div>
             <a href="/configure" class="btn secondary">🔄 Reconfigure with Different Account</a>
+            ${install ? `<a href="/configure?install=${encodeURIComponent(install)}" class="btn secondary">➕ Add Another Seedr Account</a>` : ""}
+            <a href="#" onclick="revokeUrl(); return false;" class="btn secondary">🔒 Revoke This Addon URL</a>
         </div>
         
         <div class="info">
@@ -393,13 +657,43 @@ app.get("/:token/configure", (req, res) => {
         </div>
         
         <script>
-            const token = "${token}";
+            let installId = ${JSON.stringify(install).replace(/</g, "\\u003c")};
             const baseUrl = window.location.origin;
-            const manifestUrl = baseUrl + '/' + encodeURIComponent(token) + '/manifest.json';
-            const stremioUrl = 'stremio://' + manifestUrl.replace(/^https?:\\/\\//, '');
+            ${PREFERENCES_SCRIPT}
+            function updateInstallUrls() {
+                if (!installId) return;
+                const manifestUrl = baseUrl + '/' + encodeConfig(installId) + '/manifest.json';
+                const stremioUrl = 'stremio://' + manifestUrl.replace(/^https?:\\/\\//, '');
+                
+                document.getElementById('manifest-url').value = manifestUrl;
+                document.getElementById('install-btn').href = stremioUrl;
+            }
             
-            document.getElementById('manifest-url').value = manifestUrl;
-            document.getElementById('install-btn').href = stremioUrl;
+            // Older addon URLs carry the Seedr token itself; swap it for an install ID
+            async function upgradeUrl() {
+                document.getElementById('manifest-url').value = 'Creating a private addon URL...';
+                const response = await fetch(window.location.pathname.replace(/\\/configure$/, '/upgrade'), { method: 'POST' });
+                const data = await response.json();
+                if (!data.install) {
+                    document.getElementById('manifest-url').value = data.message || 'Could not create a private addon URL. Reconfigure instead.';
+                    return;
+                }
+                installId = data.install;
+                updateInstallUrls();
+            }
+            
+            if (installId) {
+                updateInstallUrls();
+            } else {
+                upgradeUrl();
+            }
+            onPreferencesChange(updateInstallUrls);
+            
+            async function revokeUrl() {
+                if (!confirm('Stremio will lose access to your Seedr files until you install the addon again. Revoke?')) return;
+                await fetch('/' + encodeConfig(installId) + '/revoke', { method: 'POST' });
+                window.location.href = '/configure';
+            }
             
             function copyUrl() {
                 const urlInput = document.getElementById('manifest-url');
@@ -424,7 +718,7 @@ app.get("/:token/configure", (req, res) => {
 
 // Handle manifest request with token
 app.get("/:token/manifest.json", (req, res) => {
-    const manifest = addon.manifest;
+    const manifest = addon.getManifest(addonConfig.parseConfig(req.params.token).tokens);
     res.setHeader("Access-Control-Allow-Origin", "*");
     res.setHeader("Access-Control-Allow-Headers", "*");
     res.setHeader("Content-Type", "application/json");
@@ -432,19 +726,22 @@ app.get("/:token/manifest.json", (req, res) => {
 });
 
 // Custom router to handle token extraction
-app.get("/:token/catalog/:type/:id.json", async (req, res) => {
+// Extras (search, genre, skip) arrive as an additional path segment, e.g. /skip=100.json
+app.get(["/:token/catalog/:type/:id.json", "/:token/catalog/:type/:id/:extra.json"], async (req, res) => {
     res.setHeader("Access-Control-Allow-Origin", "*");
     res.setHeader("Access-Control-Allow-Headers", "*");
     res.setHeader("Content-Type", "application/json");
 
     try {
         const { token, type, id } = req.params;
+        const serverBaseUrl = `${req.protocol}://${req.get('host')}`;
 
         const result = await addon.catalogHandler({
             type,
             id: id.replace(".json", ""),
-            config: { token: decodeURIComponent(token) }
-        });
+            extra: Object.fromEntries(new URLSearchParams(req.params.extra || "")),
+            config: addonConfig.parseConfig(token)
+        }, serverBaseUrl);
 
         res.json(result);
     } catch (error) {
@@ -453,6 +750,28 @@ app.get("/:token/catalog/:type/:id.json", async (req, res) => {
     }
 });
 
+app.get("/:token/meta/:type/:id.json", async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "*");
+    res.setHeader("Content-Type", "application/json");
+
+    try {
+        const { token, type, id } = req.params;
+        const serverBaseUrl = `${req.protocol}://${req.get('host')}`;
+
+        const result = await addon.metaHandler({
+            type,
+            id: id.replace(".json", ""),
+            config: addonConfig.parseConfig(token)
+        }, serverBaseUrl);
+
+        res.json(result);
+    } catch (error) {
+        console.error("Meta error:", error);
+        res.json({ meta: null });
+    }
+});
+
 app.get("/:token/stream/:type/:id.json", async (req, res) => {
     res.setHeader("Access-Control-Allow-Origin", "*");
     res.setHeader("Access-Control-Allow-Headers", "*");
@@ -465,7 +784,7 @@ app.get("/:token/stream/:type/:id.json", async (req, res) => {
         const result = await addon.streamHandler({
             type,
             id: id.replace(".json", ""),
-            config: { token: decodeURIComponent(token) }
+            config: addonConfig.parseConfig(token)
         }, serverBaseUrl);
 
         res.json(result);
@@ -475,28 +794,135 @@ app.get("/:token/stream/:type/:id.json", async (req, res) => {
     }
 });
 
+// Stremio appends extra properties (videoHash, videoSize, filename) as an additional path segment
+app.get(["/:token/subtitles/:type/:id.json", "/:token/subtitles/:type/:id/:extra.json"], async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "*");
+    res.setHeader("Content-Type", "application/json");
+
+    try {
+        const { token, type, id } = req.params;
+        const serverBaseUrl = `${req.protocol}://${req.get('host')}`;
+
+        const result = await addon.subtitlesHandler({
+            type,
+            id: id.replace(".json", ""),
+            extra: Object.fromEntries(new URLSearchParams(req.params.extra || "")),
+            config: addonConfig.parseConfig(token)
+        }, serverBaseUrl);
+
+        res.json(result);
+    } catch (error) {
+        console.error("Subtitles error:", error);
+        res.json({ subtitles: [] });
+    }
+});
+
+// Serve a Seedr subtitle file converted to WebVTT
+app.get("/:token/subtitle/:fileId.vtt", async (req, res) => {
+    const { token, fileId } = req.params;
+
+    try {
+        // Subtitles from other pooled accounts name their account in ?account=
+        const pool = accounts.getPool(addonConfig.parseConfig(token));
+        const vtt = await subtitles.fetchSubtitleAsVtt(accounts.findAccount(pool, req.query.account).token, fileId);
+        res.setHeader("Content-Type", "text/vtt; charset=utf-8");
+        res.send(vtt);
+    } catch (error) {
+        console.error("Subtitle file error:", error.message);
+        res.status(404).json({ error: error.message });
+    }
+});
+
 // ============================================
 // Resolve Endpoint - Download torrent and redirect to stream
 // ============================================
-// Keep track of active processing to prevent race conditions
-const processingLocks = new Set();
-// Cache for resolved stream URLs to prevent repetitive API calls
-const resolveCache = new Map();
-const RESOLVE_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+// Cache for resolved files, per account, to prevent repetitive API calls.
+// Entries keep the Seedr file ID, so an expired stream URL is refreshed instead of re-resolved.
+const RESOLVE_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const resolveCache = store.namespace("resolve", { ttl: RESOLVE_CACHE_TTL, maxEntries: 2000 });
+
+/**
+ * Get a working stream URL from the resolve cache, refreshing it if Seedr's URL expired
+ * @param {string} accessToken
+ * @param {string} cacheKey
+ * @returns {Promise<{url: string, infoHash: string}|null>} null if not cached or the file is gone
+ */
+async function getCachedStream(accessToken, cacheKey) {
+    const cached = resolveCache.get(cacheKey);
+    if (!cached) {
+        return null;
+    }
+
+    if (await seedrApi.isStreamUrlValid(cached.url)) {
+        return cached;
+    }
+
+    console.log("🔁 Cached stream URL expired, refreshing...");
+    try {
+        const streamData = cached.fileId ? await seedrApi.getStreamUrl(accessToken, cached.fileId) : null;
+        if (streamData && streamData.url) {
+            const refreshed = { ...cached, url: streamData.url, timestamp: Date.now() };
+            resolveCache.set(cacheKey, refreshed);
+            return refreshed;
+        }
+    } catch (error) {
+        console.error("Error refreshing stream URL:", error.message);
+    }
+
+    resolveCache.delete(cacheKey);
+    return null;
+}
+// How long a resolve request waits on its background job before answering "still downloading".
+// Torrents Seedr already has cached usually finish within this; anything longer keeps going in the background.
+const RESOLVE_GRACE_PERIOD = 5 * 1000; // 5 seconds
+// With ?wait=1 (scripts and tools), hold the request until the download finishes
+const RESOLVE_WAIT_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const RESOLVE_RETRY_AFTER = 15; // seconds
+
+// Scripts and tools ask for JSON (?format=json or an Accept header); players don't
+function wantsJson(req) {
+    return req.query.format === "json" || /application\/json/.test(req.get("accept") || "");
+}
 
 app.get("/:token/resolve/:infoHash", async (req, res) => {
     const { token, infoHash } = req.params;
-    const { name, trackers, fileIdx, torrentFile } = req.query;
-    const accessToken = decodeURIComponent(token);
+    const { name, trackers, fileIdx, torrentFile, imdbId } = req.query;
+    const config = addonConfig.parseConfig(token);
+    const pool = accounts.getPool(config);
+    const blocking = req.query.wait === "1";
+    // Older resolve URLs only carry "name" (the filename, or the torrent name when unknown)
+    const title = req.query.title || name;
+    const filename = req.query.filename || name;
+    const { season, episode } = fileSelector.parseVideoId(imdbId);
+    // Stream URLs are signed for one account; a season pack serves many episodes, so cache per requested video
+    const cacheKeyFor = accessToken => `${torrentIndex.accountKey(accessToken)}:${infoHash.toLowerCase()}:${imdbId || fileIdx || ""}`;
 
-    // Check cache first
-    if (resolveCache.has(infoHash)) {
-        const cached = resolveCache.get(infoHash);
-        if (Date.now() - cached.timestamp < RESOLVE_CACHE_TTL) {
+    // Pick the requested file out of the torrent's videos (season packs, extras, samples)
+    const pickVideo = (videos, hints = { filename, fileIdx }) => {
+        const selection = fileSelector.selectVideoFile(videos, { ...hints, season, episode });
+        if (selection) {
+            console.log(`🎯 Selected "${selection.video.name}" (by ${selection.reason}) from ${videos.length} video(s)`);
+        }
+        return selection ? selection.video : null;
+    };
+
+    const fileNotFound = (videos) => {
+        const wanted = episode !== null ? `S${String(season).padStart(2, "0")}E${String(episode).padStart(2, "0")}` : filename;
+        console.log(`❌ Could not find ${wanted} among: ${videos.map(v => v.name).join(", ")}`);
+        return res.status(404).json({
+            error: "File not found in torrent",
+            message: `The torrent downloaded, but none of its ${videos.length} video file(s) matches ${wanted}. Try another stream.`
+        });
+    };
+
+    // Check cache first, in every pooled account
+    for (const account of pool) {
+        const cached = await getCachedStream(account.token, cacheKeyFor(account.token));
+        if (cached) {
             console.log(`⚡ Using cached stream URL for ${infoHash}`);
+            torrentIndex.markPlayed(account.token, cached.infoHash);
             return res.redirect(307, cached.url);
-        } else {
-            resolveCache.delete(infoHash);
         }
     }
 
@@ -506,300 +932,303 @@ app.get("/:token/resolve/:infoHash", async (req, res) => {
     console.log("   Type:", torrentFile ? "Torrent File" : "Magnet Link");
     console.log("============================================");
 
-    // Wait if this infoHash is already being processed (simple busy-wait or just join)
-    // Since we can't easily "join" the other request's specific state in this architecture without complex event emitters,
-    // we will just wait until the lock is released, then proceed with checks (which should catch the newly added transfer).
-    if (processingLocks.has(infoHash)) {
-        console.log("⏳ Another request is processing this infoHash. Waiting for lock release...");
-        let waitTime = 0;
-        while (processingLocks.has(infoHash) && waitTime < 30000) { // 30s max wait
-            await new Promise(r => setTimeout(r, 1000));
-            waitTime += 1000;
-        }
-        console.log("🔓 Lock released (or timed out). Proceeding...");
-    }
-
     try {
-        // Poll for completion (5 minute timeout, 3 second intervals)
-        const maxAttempts = 100; // 100 * 3s = 5 minutes
-        const pollInterval = 3000;
-        let attempts = 0;
-
-        const pollForCompletion = async () => {
-            console.log("⏳ Waiting for download to complete...");
-            let lastProgress = -1;
-
-            while (attempts < maxAttempts) {
-                attempts++;
-                await new Promise(resolve => setTimeout(resolve, pollInterval));
-
-                // Check transfers for progress
-                let transfers = await seedrApi.getActiveTransfers(accessToken);
-                const transfer = transfers.find(t =>
-                    t.name && name && t.name.toLowerCase().includes(name.toLowerCase().substring(0, 20))
-                );
-
-                if (transfer) {
-                    const progress = transfer.progress || 0;
-                    if (progress !== lastProgress) {
-                        console.log(`   Progress: ${progress}% (attempt ${attempts}/${maxAttempts})`);
-                        lastProgress = progress;
-                    }
-
-                    if (progress >= 100) {
-                        // Download complete - wait a moment for file to be moved to folder
-                        // If it stays at 100% without disappearing from transfers, it might be processing
-                        if (attempts % 5 === 0) console.log("   (Stuck at 100%? waiting for file processing...)");
-                    }
-                } else {
-                    // If no transfer found, it might be done or failed.
-                    // We continue to check videos.
-                }
+        // The account that already has the torrent, or the one with room for it
+        const account = await accounts.pickResolveAccount(pool, infoHash, parseInt(req.query.size, 10) || 0);
+        const accessToken = account.token;
+        const cacheKey = cacheKeyFor(accessToken);
 
-                // Check if file is now in videos
-                const videos = await seedrApi.getAllVideoFiles(accessToken);
-
-                // DEBUG: Log first few videos found to see what we are comparing against
-                if (attempts === 1 || attempts % 10 === 0) {
-                    // console.log("   Current videos in specific folder:", videos.map(v => v.name).slice(0, 3));
-                }
-
-                const matchingVideo = videos.find(v => {
-                    const videoNameLower = v.name.toLowerCase();
-                    const searchName = (name || "").toLowerCase();
-                    // Try more flexible matching
-                    // 1. Exact substring match (first 20 chars)
-                    const match1 = videoNameLower.includes(searchName.substring(0, 20));
-                    // 2. Reverse match (search name includes video name - careful with short names)
-                    const cleanVideoName = videoNameLower.replace(/\.[^/.]+$/, ""); // remove extension
-                    const match2 = searchName.includes(cleanVideoName.substring(0, 20));
-
-                    return match1 || match2;
+        // Check the torrent index for a file we already downloaded for this exact title
+        const indexed = torrentIndex.getByInfoHash(accessToken, infoHash);
+        const indexedFile = indexed && imdbId && indexed.imdb[imdbId];
+        if (indexedFile && indexedFile.fileId) {
+            console.log("📇 Torrent index has file:", indexedFile.fileId);
+            const streamData = await seedrApi.getStreamUrl(accessToken, indexedFile.fileId);
+            if (streamData && streamData.url) {
+                console.log("🎬 Redirecting to stream URL (Indexed)");
+                torrentIndex.markPlayed(accessToken, infoHash);
+                resolveCache.set(cacheKey, {
+                    url: streamData.url,
+                    infoHash,
+                    fileId: indexedFile.fileId,
+                    timestamp: Date.now()
                 });
-
-                if (matchingVideo) {
-                    console.log("✅ Download complete:", matchingVideo.name);
-                    const streamData = await seedrApi.getStreamUrl(accessToken, matchingVideo.id);
-                    if (streamData && streamData.url) {
-                        console.log("🎬 Redirecting to stream URL");
-                        // Cache the successful result
-                        resolveCache.set(infoHash, {
-                            url: streamData.url,
-                            timestamp: Date.now()
-                        });
-                        return res.redirect(307, streamData.url);
-                    }
-                } else if (!transfer && attempts > 5) {
-                    // If no active transfer and no video found after a few attempts, 
-                    // maybe look for ANY video in the top folder if we just added one?
-                    // Or look for the specific folder we added to?
-                    // For now, just log that we haven't found it yet.
-                    if (attempts % 5 === 0) {
-                        console.log(`   ❓ No transfer and no matching video found yet for "${name}"`);
-                        // DEBUG: Inspect what IS there
-                        if (videos.length > 0) {
-                            console.log(`      Available videos: ${videos.map(v => v.name).join(", ")}`);
-                        } else {
-                            console.log("      No videos found in account.");
-                        }
-                    }
-                }
+                return res.redirect(307, streamData.url);
             }
+            console.log("   Indexed file is gone from Seedr, resolving again...");
+        }
 
-            // Timeout reached
-            console.log("⏰ Timeout waiting for download");
-            return res.status(408).json({
-                error: "Download timeout",
-                message: "The download is taking longer than expected. Please check Seedr Downloads catalog and try again."
-            });
-        };
-
-        // Determine if we're using a torrent file or magnet link
-        let isTorrentFile = !!torrentFile;
-        let magnet = null;
-        let torrentData = null;
-
-        if (!isTorrentFile) {
-            // Build magnet link from parameters
-            magnet = `magnet:?xt=urn:btih:${infoHash}`;
-            if (name) {
-                magnet += `&dn=${encodeURIComponent(name)}`;
-            }
-            if (trackers) {
-                const trackerList = trackers.split(",");
-                for (const tracker of trackerList) {
-                    magnet += `&tr=${encodeURIComponent(tracker)}`;
-                }
-            }
-        } else {
-            // Torrent file is base64 encoded in the query
-            torrentData = decodeURIComponent(torrentFile);
-        }
-
-        console.log("🔒 Acquiring processing lock...");
-        processingLocks.add(infoHash);
-
-        try {
-            // Step 1: Check if folder exists for this info_hash (cached downloads)
-            console.log("📁 Looking for existing folder...");
-            let targetFolder = await seedrApi.getFolderByName(accessToken, infoHash);
-
-            if (targetFolder) {
-                console.log("✅ Using existing folder:", targetFolder.id);
-
-                // Check if torrent is already downloading or completed in this folder
-                const folderContent = await seedrApi.getFolder(accessToken, targetFolder.id);
-
-                if (folderContent.folders && folderContent.folders.length > 0) {
-                    console.log("✅ Torrent already completed in this folder");
-                    // Get files from the first subfolder (completed torrent)
-                    const completedFolder = folderContent.folders[0];
-                    const completedContent = await seedrApi.getFolder(accessToken, completedFolder.id);
-
-                    if (completedContent.files && completedContent.files.length > 0) {
-                        // Find a playable video file
-                        const videoFile = completedContent.files.find(f => f.play_video);
-                        if (videoFile) {
-                            console.log("🎬 Found playable file:", videoFile.name);
-                            const streamData = await seedrApi.getStreamUrl(accessToken, videoFile.folder_file_id);
-                            if (streamData && streamData.url) {
-                                console.log("🎬 Redirecting to stream URL");
-                                return res.redirect(307, streamData.url);
-                            }
-                        }
-                    }
-                } else if (folderContent.torrents && folderContent.torrents.length > 0) {
-                    console.log("⏳ Torrent already downloading in this folder, waiting for completion...");
-                    // Don't add again - skip to polling
-                    return pollForCompletion();
-                }
-            }
+        // Start (or join) the background job that gets the torrent into Seedr
+        // If the torrent stalls, the job moves on to the next-best torrent for the same title
+        const failover = imdbId ? { config, imdbId } : null;
+        const job = resolver.startResolve(accessToken, infoHash,
+            { name, title, filename, fileIdx, size: req.query.size, trackers, torrentFile },
+            { failover, eviction: config.storage.eviction });
+        console.log(`🧵 Waiting on resolve job (${job.phase})...`);
+        await jobManager.waitForJob(job, blocking ? RESOLVE_WAIT_TIMEOUT : RESOLVE_GRACE_PERIOD);
 
-            // Step 1.5: Check if torrent is already in active transfers (prevent duplicate additions)
-            console.log("🔍 Checking for existing transfers...");
-            const activeTransfers = await seedrApi.getActiveTransfers(accessToken);
-            const existingTransfer = activeTransfers.find(t => {
-                if (!t.name || !name) return false;
-                const tNameLower = t.name.toLowerCase();
-                const searchName = name.toLowerCase();
-                return tNameLower.includes(searchName.substring(0, 30)) ||
-                    tNameLower.includes(infoHash.substring(0, 16));
+        if (job.phase === "failed") {
+            return res.status(job.error.status).json({
+                error: job.error.error,
+                message: job.error.message
             });
+        }
+
+        if (job.phase !== "ready") {
+            // Answer now instead of holding the player; the job keeps going in the background
+            const status = jobManager.describeJob(job);
+            console.log(`⏳ Still ${job.phase} (${Math.round(job.progress || 0)}%), answering "try again later"`);
 
-            if (existingTransfer) {
-                console.log("⏳ Torrent already in transfer queue, waiting for completion...");
-                console.log("   Current progress:", existingTransfer.progress || 0, "%");
-                // Skip adding - go straight to polling
-                attempts = 0; // Reset attempts counter
-                return pollForCompletion();
+            // Players get a short video showing the progress; JSON would look like a broken stream
+            if (!blocking && !wantsJson(req)) {
+                return res.redirect(307, `/${token}/placeholder/${infoHash}.m3u8`);
             }
 
-            // Step 1.8: Check if the file is already completed and in the library 
-            // (Previous check only looked for folder named infoHash, but Magnet links created folders with torrent name)
-            console.log("🔍 Checking for existing completed files...");
-            const allVideos = await seedrApi.getAllVideoFiles(accessToken);
-            const existingVideo = allVideos.find(v => {
-                const videoNameLower = v.name.toLowerCase();
-                const searchName = (name || "").toLowerCase();
-                const match1 = videoNameLower.includes(searchName.substring(0, 20));
-                const cleanVideoName = videoNameLower.replace(/\.[^/.]+$/, "");
-                const match2 = searchName.includes(cleanVideoName.substring(0, 20));
-                return match1 || match2;
+            res.setHeader("Retry-After", RESOLVE_RETRY_AFTER.toString());
+            return res.status(blocking ? 408 : 202).json({
+                error: blocking ? "Download timeout" : "Still downloading",
+                message: `${job.message}. The download continues in the background - play this stream again once it's ready.`,
+                status,
+                statusUrl: `/${token}/status/${infoHash}`
             });
+        }
 
-            if (existingVideo) {
-                console.log("✅ Match found in library:", existingVideo.name);
-                const streamData = await seedrApi.getStreamUrl(accessToken, existingVideo.id);
-                if (streamData && streamData.url) {
-                    console.log("🎬 Redirecting to stream URL (Cached)");
-                    resolveCache.set(infoHash, {
-                        url: streamData.url,
-                        timestamp: Date.now()
-                    });
-                    return res.redirect(307, streamData.url);
-                }
-            }
+        // After a failover the job downloaded a different torrent, with its own file hints
+        const result = job.result;
+        const switched = result.infoHash !== infoHash.toLowerCase();
+        if (switched) {
+            console.log(`🔀 Serving failover torrent ${result.infoHash} instead of ${infoHash}`);
+        }
 
-            // Step 2: Add torrent (magnet link or file) to root
-            let addResult;
-            let retryCount = 0;
-            const maxRetries = 1;
-
-            while (retryCount <= maxRetries) {
-                try {
-                    if (isTorrentFile) {
-                        console.log(`📥 Adding torrent file to Seedr (Attempt ${retryCount + 1})...`);
-                        addResult = await seedrApi.addTorrentFile(accessToken, torrentData, name || `torrent-${infoHash}.torrent`);
-                    } else {
-                        console.log(`📥 Adding magnet to Seedr (Attempt ${retryCount + 1})...`);
-                        addResult = await seedrApi.addMagnet(accessToken, magnet, -1);
-                    }
-
-                    // Check for "soft" failures that are actually successes-with-conditions in API (result: "queue_full...")
-                    // But user wants to CLEAR if this happens, so treat as failure needing clear
-                    if (addResult.result === "queue_full_added_to_wishlist" || addResult.result === "not_enough_space_added_to_wishlist") {
-                        throw new Error(`Space/Queue full (code: ${addResult.result})`);
-                    }
-
-                    // If we get here and result is true/success, we are done
-                    if (addResult.result === true || addResult.result === "success") {
-                        console.log("✅ Torrent added to active downloads");
-                        break;
-                    } else {
-                        // Unknown success code, but assume success
-                        console.log("✅ Torrent added successfully (code: " + addResult.result + ")");
-                        break;
-                    }
-
-                } catch (error) {
-                    console.error(`❌ Attempt ${retryCount + 1} failed:`, error.message);
-
-                    // If last retry or not a space issue (optional check, but good for safety), rethrow
-                    // Actually, we want to clear ONLY on space/queue issues or if we just want to force clear on any error (risky)
-                    // User said: "if no space is available then clear all"
-                    // So we check for keywords in error or the specific codes above
-                    const isSpaceIssue = error.message.includes("not_enough_space") ||
-                        error.message.includes("queue_full") ||
-                        error.message.includes("storage_full"); // Add more keywords if needed
-
-                    if (retryCount < maxRetries && isSpaceIssue) {
-                        console.log("⚠️  Space/Queue limit reached. Clearing Seedr account as requested...");
-
-                        // If it was added to wishlist during the failed attempt (soft fail), delete it first to be clean
-                        if (addResult && addResult.wt && addResult.wt.id) {
-                            await seedrApi.deleteFromWishlist(accessToken, addResult.wt.id);
-                        }
-
-                        const clearResult = await seedrApi.clearAccount(accessToken);
-                        if (!clearResult.result) {
-                            console.error("❌ Failed to clear account:", clearResult.error);
-                            // If clear fails, we probably can't add anyway, but let loop continue to fail naturally or try
-                        }
-                        retryCount++;
-                        // Continue to next iteration (retry)
-                    } else {
-                        // No more retries or not a space issue
-                        return res.status(507).json({
-                            error: "Storage full or queue full",
-                            message: "Not enough space in Seedr. Attempted to clear account but failed or space still insufficient."
-                        });
-                    }
-                }
-            }
-        } finally {
-            console.log("🔓 Releasing processing lock...");
-            processingLocks.delete(infoHash);
+        const videoFile = pickVideo(result.videos, switched ? { filename: result.filename, fileIdx: result.fileIdx } : undefined);
+        if (!videoFile) {
+            return fileNotFound(result.videos);
+        }
+
+        torrentIndex.recordTorrent(accessToken, result.infoHash, { imdbId, name: switched ? result.filename : name, folderId: result.folderId, fileId: videoFile.id });
+        const streamData = await seedrApi.getStreamUrl(accessToken, videoFile.id);
+        if (!streamData || !streamData.url) {
+            // The files are gone since the job finished - let the next request start over
+            jobManager.removeJob(job.key);
+            return res.status(502).json({
+                error: "Stream unavailable",
+                message: "Seedr did not return a stream URL for this file. Please try again."
+            });
         }
 
-        // Start polling
-        await pollForCompletion();
+        console.log("🎬 Redirecting to stream URL");
+        torrentIndex.markPlayed(accessToken, result.infoHash);
+        resolveCache.set(cacheKey, {
+            url: streamData.url,
+            infoHash: result.infoHash,
+            fileId: videoFile.id,
+            timestamp: Date.now()
+        });
+        res.redirect(307, streamData.url);
 
     } catch (error) {
         console.error("❌ Resolve error:", error.message);
+        if (error instanceof seedrClient.SeedrError) {
+            return res.status(error.status).json({ error: error.error, message: error.message });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
+// ============================================
+// Upgrade - swap a raw-token addon URL for an install ID
+// ============================================
+app.post("/:token/upgrade", async (req, res) => {
+    const config = addonConfig.parseConfig(req.params.token);
+    if (config.install) {
+        return res.json({ install: config.install });
+    }
+
+    // Only tokens Seedr accepts get an install - anyone can put a string in the URL
+    const check = config.token ? await seedrApi.validateCredentials(config.token) : { status: "error", authFailure: "invalid" };
+    if (check.status !== "success") {
+        return res.status(check.authFailure ? 401 : 502).json({
+            error: check.authFailure ? "Seedr login not valid" : "Seedr unavailable",
+            message: check.authFailure
+                ? "Seedr no longer accepts the login in this addon URL. Reconfigure to connect your Seedr account again."
+                : "Could not reach Seedr to check this addon URL. Please try again."
+        });
+    }
+
+    res.json({ install: installs.getOrCreateInstall(config.token) });
+});
+
+// ============================================
+// Revoke - invalidate the install ID in this addon URL
+// ============================================
+app.post("/:token/revoke", (req, res) => {
+    const config = addonConfig.parseConfig(req.params.token);
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    if (!config.install) {
+        return res.status(400).json({
+            error: "Nothing to revoke",
+            message: "This addon URL carries the Seedr token itself. Install the addon again from /configure to get a revocable URL."
+        });
+    }
+
+    res.json({ revoked: installs.revokeInstall(config.install) });
+});
+
+// ============================================
+// Pinning - pinned torrents are never evicted when Seedr is full
+// ============================================
+const setPinned = pinned => (req, res) => {
+    const { token, infoHash } = req.params;
+    const pool = accounts.getPool(addonConfig.parseConfig(token));
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    if (!/^[a-f0-9]{40}$/i.test(infoHash)) {
+        return res.status(400).json({ error: "Invalid infoHash" });
+    }
+
+    const accessToken = (accounts.findTorrentAccount(pool, infoHash) || pool[0]).token;
+    const entry = torrentIndex.setPinned(accessToken, infoHash, pinned);
+    console.log(`📌 ${pinned ? "Pinned" : "Unpinned"} ${entry.infoHash}`);
+    res.json({ infoHash: entry.infoHash, pinned: entry.pinned });
+};
+
+app.post("/:token/pin/:infoHash", setPinned(true));
+app.delete("/:token/pin/:infoHash", setPinned(false));
+
+// ============================================
+// Resolve Status - JSON snapshot and live Server-Sent Events
+// ============================================
+const STATUS_HEARTBEAT_INTERVAL = 15000; // keep proxies from closing idle event streams
+
+// Latest resolve state of a torrent in any of the pool's accounts
+function getPoolResolveStatus(pool, infoHash) {
+    return pool.map(account => resolver.getResolveStatus(account.token, infoHash)).find(Boolean) || null;
+}
+
+app.get("/:token/status/:infoHash", (req, res) => {
+    const { token, infoHash } = req.params;
+    const pool = accounts.getPool(addonConfig.parseConfig(token));
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "no-store");
+
+    const status = getPoolResolveStatus(pool, infoHash);
+    if (!status) {
+        return res.status(404).json({
+            infoHash: infoHash.toLowerCase(),
+            phase: null,
+            error: "No resolve in progress for this torrent"
+        });
+    }
+
+    res.json(status);
+});
+
+// ============================================
+// Placeholder - what players show while a torrent is still downloading
+// ============================================
+function formatSpeed(bytesPerSecond) {
+    return `${(bytesPerSecond / 1024 / 1024).toFixed(1)} MB/s`;
+}
+
+function formatEta(seconds) {
+    return seconds >= 3600 ? `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}min`
+        : seconds >= 60 ? `${Math.round(seconds / 60)} min` : `${seconds}s`;
+}
+
+/**
+ * Turn a resolve status into the placeholder's screen
+ */
+function placeholderScreen(status) {
+    if (!status) {
+        return { title: "Nothing downloading", lines: ["Play the stream again to start"] };
+    }
+    if (status.phase === "ready") {
+        return { title: "Ready!", progress: 100, lines: ["Play again to start watching"] };
+    }
+    if (status.phase === "failed" || status.interrupted) {
+        return { title: "Download failed", lines: [status.message || "", "Play again to retry"] };
+    }
+
+    const details = [
+        status.progress ? `${Math.round(status.progress)}%` : null,
+        status.speed ? formatSpeed(status.speed) : null,
+        status.eta ? `ETA ${formatEta(status.eta)}` : null
+    ].filter(Boolean).join(" - ");
+    return {
+        // The percentage is shown below the bar already
+        title: (status.message || "Downloading to Seedr").replace(/\s*\(\d+%\)$/, ""),
+        progress: status.progress || 0,
+        lines: [details, "Play again when ready"].filter(Boolean)
+    };
+}
+
+app.get("/:token/placeholder/:infoHash.m3u8", (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+    res.send(placeholderVideo.playlist(index => `${req.params.infoHash}/${index}.ts`));
+});
+
+// Segments are rendered on request, so each shows the progress at the time it's played
+app.get("/:token/placeholder/:infoHash/:segment.ts", (req, res) => {
+    const { token, infoHash } = req.params;
+    const segment = parseInt(req.params.segment, 10);
+    if (!(segment >= 0 && segment < placeholderVideo.SEGMENT_COUNT)) {
+        return res.status(404).end();
+    }
+
+    const pool = accounts.getPool(addonConfig.parseConfig(token));
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Content-Type", "video/mp2t");
+    res.send(placeholderVideo.renderSegment(placeholderScreen(getPoolResolveStatus(pool, infoHash)), segment));
+});
+
+app.get("/:token/history", (req, res) => {
+    const pool = accounts.getPool(addonConfig.parseConfig(req.params.token));
+    const resolves = pool.flatMap(account => resolver.getResolveHistory(account.token))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "no-store");
+    res.json({ resolves });
+});
+
+app.get("/:token/status/:infoHash/events", (req, res) => {
+    const { token, infoHash } = req.params;
+    const pool = accounts.getPool(addonConfig.parseConfig(token));
+    // The torrent may be resolved in any of the pool's accounts
+    const keys = new Set(pool.map(account => resolver.jobKey(account.token, infoHash)));
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Current state first - the job may not exist yet if the player hasn't hit resolve
+    send("status", getPoolResolveStatus(pool, infoHash) || { infoHash: infoHash.toLowerCase(), phase: null });
+
+    const unsubscribe = jobManager.onJobUpdate(updated => {
+        if (keys.has(updated.key)) {
+            send("status", jobManager.describeJob(updated));
+        }
+    });
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), STATUS_HEARTBEAT_INTERVAL);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 // ============================================
 // Root redirect to configure
 // ============================================
@@ -810,6 +1239,14 @@ app.get("/", (req, res) => {
 // ============================================
 // Start Server
 // ============================================
+// Write pending state before exiting so the next start comes back warm
+for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => {
+        store.flush();
+        process.exit(0);
+    });
+}
+
 app.listen(PORT, () => {
     console.log("============================================");
     console.log("🎬 Seedr Cloud Player for Stremio");
@@ -0,0 +1,236 @@
+const fs = require("fs");
+const path = require("path");
+
+// ============================================
+// Store - small persistent key/value state with TTLs
+// ============================================
+// Holds caches, resolve jobs and history so a restart (or redeploy) comes back warm.
+// State is split into namespaces; each entry has an optional expiry.
+// Backends:
+//   file   - one JSON file, written in batches (default, STATE_FILE)
+//   memory - nothing touches disk (tests, throwaway instances)
+const STATE_BACKEND = process.env.STATE_BACKEND || "file";
+const STATE_FILE = process.env.STATE_FILE || path.join(__dirname, "data", "state.json");
+const SAVE_DELAY = 1000; // Batch writes made in quick succession
+const COMPACT_INTERVAL = 10 * 60 * 1000; // Drop expired entries every 10 minutes
+
+// Namespaces created through namespace(), for their compaction settings
+const registered = new Map();
+
+/**
+ * In-memory backend: namespace -> Map(key -> {value, expiresAt, updatedAt})
+ */
+function createMemoryBackend() {
+    const namespaces = new Map();
+
+    return {
+        load: () => namespaces,
+        save: () => { },
+        saveSync: () => { }
+    };
+}
+
+/**
+ * JSON file backend - same shape as the memory backend, persisted with temp file + rename
+ */
+function createFileBackend(file) {
+    const namespaces = new Map();
+    let loaded = false;
+    let saveTimer = null;
+
+    const serialize = () => {
+        const data = {};
+        for (const [name, entries] of namespaces) {
+            data[name] = Object.fromEntries(entries);
+        }
+        return JSON.stringify(data);
+    };
+
+    return {
+        load() {
+            if (loaded) {
+                return namespaces;
+            }
+            loaded = true;
+
+            try {
+                const data = JSON.parse(fs.readFileSync(file, "utf8"));
+                for (const [name, entries] of Object.entries(data)) {
+                    namespaces.set(name, new Map(Object.entries(entries)));
+                }
+                console.log(`💾 Loaded state from ${file}`);
+            } catch (error) {
+                if (error.code !== "ENOENT") {
+                    console.error("Error reading state, starting empty:", error.message);
+                }
+            }
+
+            return namespaces;
+        },
+
+        save() {
+            if (saveTimer) {
+                return;
+            }
+
+            saveTimer = setTimeout(async () => {
+                saveTimer = null;
+                try {
+                    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                    // Write to a temp file first so a crash never leaves truncated state
+                    const tempFile = `${file}.tmp`;
+                    await fs.promises.writeFile(tempFile, serialize());
+                    await fs.promises.rename(tempFile, file);
+                } catch (error) {
+                    console.error("Error saving state:", error.message);
+                }
+            }, SAVE_DELAY);
+
+            // Don't keep the process alive just to flush state
+            saveTimer.unref();
+        },
+
+        // Flush pending changes right now (on shutdown)
+        saveSync() {
+            if (!saveTimer) {
+                return;
+            }
+            clearTimeout(saveTimer);
+            saveTimer = null;
+
+            try {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(`${file}.tmp`, serialize());
+                fs.renameSync(`${file}.tmp`, file);
+            } catch (error) {
+                console.error("Error saving state:", error.message);
+            }
+        }
+    };
+}
+
+const backend = STATE_BACKEND === "memory" ? createMemoryBackend() : createFileBackend(STATE_FILE);
+
+function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+/**
+ * Get a namespace of the store
+ * @param {string} name - Namespace name, e.g. "videos"
+ * @param {{ttl?: number, maxEntries?: number}} options - Default TTL in ms (0 = never expires)
+ *   and the number of entries kept on compaction (most recently updated win)
+ * @returns {{get: Function, set: Function, delete: Function, entries: Function}}
+ */
+function namespace(name, options = {}) {
+    const { ttl = 0, maxEntries = 0 } = options;
+
+    const getEntries = () => {
+        const namespaces = backend.load();
+        if (!namespaces.has(name)) {
+            namespaces.set(name, new Map());
+        }
+        return namespaces.get(name);
+    };
+
+    const ns = {
+        name,
+        maxEntries,
+
+        /**
+         * @param {string} key
+         * @returns {*} The value, or undefined if missing or expired
+         */
+        get(key) {
+            const entry = getEntries().get(key);
+            if (!entry || isExpired(entry)) {
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        /**
+         * @param {string} key
+         * @param {*} value - Must be JSON-serializable
+         * @param {number} entryTtl - Overrides the namespace TTL (0 = never expires)
+         */
+        set(key, value, entryTtl = ttl) {
+            const now = Date.now();
+            getEntries().set(key, {
+                value,
+                expiresAt: entryTtl > 0 ? now + entryTtl : null,
+                updatedAt: now
+            });
+            backend.save();
+        },
+
+        delete(key) {
+            if (getEntries().delete(key)) {
+                backend.save();
+            }
+        },
+
+        /**
+         * All live entries
+         * @returns {Array<[string, *]>}
+         */
+        entries() {
+            const now = Date.now();
+            return [...getEntries()]
+                .filter(([, entry]) => !isExpired(entry, now))
+                .map(([key, entry]) => [key, entry.value]);
+        }
+    };
+
+    registered.set(name, ns);
+    return ns;
+}
+
+/**
+ * Drop expired entries and trim namespaces to their maxEntries
+ * @returns {number} Entries removed
+ */
+function compact() {
+    const namespaces = backend.load();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [name, entries] of namespaces) {
+        for (const [key, entry] of entries) {
+            if (isExpired(entry, now)) {
+                entries.delete(key);
+                removed++;
+            }
+        }
+
+        const maxEntries = registered.has(name) ? registered.get(name).maxEntries : 0;
+        if (maxEntries > 0 && entries.size > maxEntries) {
+            const oldest = [...entries].sort(([, a], [, b]) => a.updatedAt - b.updatedAt);
+            for (const [key] of oldest.slice(0, entries.size - maxEntries)) {
+                entries.delete(key);
+                removed++;
+            }
+        }
+    }
+
+    if (removed > 0) {
+        console.log(`💾 Compacted state: removed ${removed} entries`);
+        backend.save();
+    }
+    return removed;
+}
+
+/**
+ * Write pending changes synchronously - call before the process exits
+ */
+function flush() {
+    backend.saveSync();
+}
+
+setInterval(compact, COMPACT_INTERVAL).unref();
+
+module.exports = {
+    namespace,
+    compact,
+    flush
+};
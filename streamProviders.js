@@ -0,0 +1,181 @@
+const axios = require("axios");
+const torrentioApi = require("./torrentioApi");
+const publicUrl = require("./publicUrl");
+
+// ============================================
+// Stream Providers - torrent sources queried for each title
+// ============================================
+// A provider is { id, name, timeout, getStreams(type, imdbId) } where getStreams
+// resolves to streams in the parseStream format (infoHash, fileIdx, title, ...).
+// Torrentio is one provider; any Stremio addon that returns infoHash streams can be another.
+// Addon URLs come from the addon URL, so they may only reach public hosts (see publicUrl.js).
+
+const DEFAULT_TIMEOUT_SECONDS = 10;
+const MAX_ADDON_SOURCES = 5;
+
+/**
+ * Validate per-install source settings
+ * @param {Object} raw - Sources as decoded from the addon config
+ * @returns {{torrentio: boolean, addons: string[], timeout: number}}
+ */
+function normalizeSources(raw = {}) {
+    if (!raw || typeof raw !== "object") raw = {};
+
+    const addons = [];
+    for (const value of Array.isArray(raw.addons) ? raw.addons : []) {
+        const baseUrl = toAddonBaseUrl(value);
+        if (baseUrl && !addons.includes(baseUrl) && addons.length < MAX_ADDON_SOURCES) {
+            addons.push(baseUrl);
+        }
+    }
+
+    const timeout = parseInt(raw.timeout, 10);
+
+    return {
+        torrentio: raw.torrentio !== false,
+        addons,
+        timeout: timeout >= 1 && timeout <= 60 ? timeout : DEFAULT_TIMEOUT_SECONDS
+    };
+}
+
+/**
+ * Turn a pasted addon URL (manifest URL or base URL, stremio:// or http) into its base URL
+ * @param {string} value
+ * @returns {string|null}
+ */
+function toAddonBaseUrl(value) {
+    try {
+        const url = new URL(String(value).trim().replace(/^stremio:\/\//, "https://"));
+        if (!publicUrl.isPublicUrl(url.toString())) {
+            return null;
+        }
+        return url.toString().replace(/\/manifest\.json$/, "").replace(/\/+$/, "");
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Torrentio, queried with the install's Torrentio options
+ */
+function createTorrentioProvider(options, timeoutSeconds) {
+    return {
+        id: "torrentio",
+        name: "Torrentio",
+        timeout: timeoutSeconds * 1000,
+        getStreams: (type, imdbId) => type === "series"
+            ? torrentioApi.getSeriesStreams(imdbId, options)
+            : torrentioApi.getMovieStreams(imdbId, options)
+    };
+}
+
+/**
+ * Any Stremio addon whose stream resource returns infoHash streams
+ */
+function createAddonProvider(baseUrl, timeoutSeconds) {
+    return {
+        id: `addon:${baseUrl}`,
+        name: new URL(baseUrl).hostname,
+        timeout: timeoutSeconds * 1000,
+        getStreams: async (type, imdbId) => {
+            const response = await axios.get(`${baseUrl}/stream/${type}/${imdbId}.json`, {
+                timeout: timeoutSeconds * 1000,
+                ...publicUrl.requestOptions
+            });
+
+            if (!response.data || !Array.isArray(response.data.streams)) {
+                return [];
+            }
+
+            return response.data.streams
+                .map(stream => torrentioApi.parseStream(stream))
+                .filter(s => s !== null);
+        }
+    };
+}
+
+/**
+ * Build the providers enabled for an install
+ * @param {{sources?: Object, torrentio?: Object}} config - Parsed addon config
+ * @returns {Array<{id: string, name: string, timeout: number, getStreams: Function}>}
+ */
+function getProviders(config = {}) {
+    const sources = normalizeSources(config.sources);
+    const providers = [];
+
+    if (sources.torrentio) {
+        providers.push(createTorrentioProvider(config.torrentio, sources.timeout));
+    }
+    for (const baseUrl of sources.addons) {
+        providers.push(createAddonProvider(baseUrl, sources.timeout));
+    }
+
+    return providers;
+}
+
+/**
+ * Run a provider, giving up after its timeout. Never rejects.
+ */
+async function queryProvider(provider, type, imdbId) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => {
+            console.warn(`⏰ Provider ${provider.name} timed out after ${provider.timeout}ms`);
+            resolve([]);
+        }, provider.timeout);
+    });
+
+    const request = provider.getStreams(type, imdbId)
+        .then(streams => streams.map(stream => ({ ...stream, provider: provider.name })))
+        .catch(error => {
+            console.error(`Error fetching streams from ${provider.name}:`, error.message);
+            return [];
+        });
+
+    try {
+        return await Promise.race([request, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Query all providers in parallel and merge their results, deduplicated by infoHash
+ * @param {Array} providers - Providers from getProviders
+ * @param {string} type - "movie" or "series"
+ * @param {string} imdbId - IMDb ID (with season:episode for series)
+ * @returns {Promise<Array>}
+ */
+async function fetchAllStreams(providers, type, imdbId) {
+    const results = await Promise.all(providers.map(provider => queryProvider(provider, type, imdbId)));
+    const merged = new Map();
+
+    results.forEach((streams, i) => {
+        console.log(`   ${providers[i].name}: ${streams.length} streams`);
+
+        for (const stream of streams) {
+            const key = stream.infoHash.toLowerCase();
+            const existing = merged.get(key);
+
+            if (!existing) {
+                merged.set(key, stream);
+                continue;
+            }
+
+            // Keep the richer entry, but pool trackers from both
+            const best = (stream.seeders || 0) > (existing.seeders || 0) ? stream : existing;
+            merged.set(key, {
+                ...best,
+                trackers: [...new Set([...(existing.trackers || []), ...(stream.trackers || [])])]
+            });
+        }
+    });
+
+    return [...merged.values()];
+}
+
+module.exports = {
+    normalizeSources,
+    getProviders,
+    fetchAllStreams
+};
@@ -0,0 +1,94 @@
+const releaseParser = require("./releaseParser");
+const torrentioApi = require("./torrentioApi");
+const { normalizePreferences } = require("./config");
+
+// ============================================
+// Stream Ranking - filter and order Torrentio results by user preferences
+// ============================================
+const RESOLUTION_SCORES = {
+    "2160p": 40,
+    "1440p": 35,
+    "1080p": 30,
+    "720p": 20,
+    "480p": 10
+};
+
+/**
+ * Collect the facts about a parsed stream that preferences act on
+ */
+function describeStream(stream) {
+    const text = `${stream.title || ""} ${stream.filename || ""} ${stream.quality || ""}`;
+
+    return {
+        text,
+        resolution: stream.resolution || releaseParser.parseReleaseName(text).resolution,
+        sizeBytes: stream.sizeBytes || torrentioApi.parseSizeToBytes(stream.size),
+        isHdr: (stream.hdr || []).length > 0,
+        languages: stream.languages || []
+    };
+}
+
+/**
+ * Check whether a stream's name contains an excluded keyword (whole word, case-insensitive)
+ */
+function hasExcludedKeyword(text, keywords) {
+    const normalized = text.replace(/[._\-[\]()]/g, " ");
+    return keywords.some(keyword => {
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        return new RegExp(`(^|\\s)${escaped}(\\s|$)`, "i").test(normalized);
+    });
+}
+
+/**
+ * Score a stream - higher is better
+ */
+function scoreStream(stream, info, prefs) {
+    let score = (RESOLUTION_SCORES[info.resolution] || 0) * 10;
+
+    // Preferred audio language outweighs resolution
+    if (prefs.audioLanguage && info.languages.includes(prefs.audioLanguage)) {
+        score += 1000;
+    }
+
+    // Packs download far more than the one file that gets played
+    if (stream.isPack) score -= 50;
+
+    if (info.isHdr && prefs.hdr === "prefer") score += 150;
+    if (info.isHdr && prefs.hdr === "avoid") score -= 150;
+
+    // Seeders matter, with diminishing returns
+    score += Math.log2((stream.seeders || 0) + 1) * 20;
+
+    return score;
+}
+
+/**
+ * Filter, rank and trim Torrentio streams according to user preferences
+ * @param {Array} streams - Parsed Torrentio streams
+ * @param {Object} preferences - User preferences from the addon config
+ * @returns {Array} Streams to show, best first
+ */
+function rankStreams(streams, preferences) {
+    const prefs = normalizePreferences(preferences);
+    const maxSizeBytes = prefs.maxSizeGB * 1024 * 1024 * 1024;
+
+    const ranked = streams
+        .map(stream => ({ stream, info: describeStream(stream) }))
+        .filter(({ info }) => {
+            // Unknown resolution/size can't be judged, so keep them
+            if (info.resolution && !prefs.resolutions.includes(info.resolution)) return false;
+            if (maxSizeBytes > 0 && info.sizeBytes > maxSizeBytes) return false;
+            if (info.isHdr && prefs.hdr === "exclude") return false;
+            if (prefs.excludeKeywords.length > 0 && hasExcludedKeyword(info.text, prefs.excludeKeywords)) return false;
+            return true;
+        })
+        .map(entry => ({ ...entry, score: scoreStream(entry.stream, entry.info, prefs) }))
+        .sort((a, b) => b.score - a.score || (b.stream.seeders || 0) - (a.stream.seeders || 0))
+        .map(entry => entry.stream);
+
+    return prefs.maxResults > 0 ? ranked.slice(0, prefs.maxResults) : ranked;
+}
+
+module.exports = {
+    rankStreams
+};
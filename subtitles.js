@@ -0,0 +1,267 @@
+const axios = require("axios");
+const seedrApi = require("./seedrApi");
+const releaseParser = require("./releaseParser");
+
+// ============================================
+// Subtitles - find, label and convert subtitle files stored in Seedr
+// ============================================
+const SUBTITLE_EXTENSIONS = ["srt", "vtt", "ass", "ssa"];
+
+// Subtitle files are small; anything bigger is not worth holding in memory
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024; // 5 MB
+
+// Folders torrents commonly keep subtitles in (e.g. "Subs/English.srt")
+const SUBTITLE_FOLDER_PATTERN = /^(subs?|subtitles?)$/i;
+
+// Filename tokens -> ISO 639-2 codes, as used by Stremio
+const LANGUAGE_TOKENS = {
+    eng: ["en", "eng", "english"],
+    spa: ["es", "spa", "spanish", "espanol", "español", "latino"],
+    fre: ["fr", "fre", "fra", "french", "francais", "français"],
+    ger: ["de", "ger", "deu", "german", "deutsch"],
+    ita: ["it", "ita", "italian", "italiano"],
+    por: ["pt", "por", "portuguese", "portugues", "português", "pt-br", "ptbr", "brazilian"],
+    dut: ["nl", "dut", "nld", "dutch", "nederlands"],
+    rus: ["ru", "rus", "russian"],
+    pol: ["pl", "pol", "polish", "polski"],
+    tur: ["tr", "tur", "turkish"],
+    ara: ["ar", "ara", "arabic"],
+    heb: ["he", "heb", "hebrew"],
+    hin: ["hi", "hin", "hindi"],
+    jpn: ["ja", "jp", "jpn", "japanese"],
+    kor: ["ko", "kor", "korean"],
+    chi: ["zh", "chi", "zho", "chinese", "chs", "cht"],
+    swe: ["sv", "swe", "swedish"],
+    nor: ["no", "nor", "norwegian"],
+    dan: ["da", "dan", "danish"],
+    fin: ["fi", "fin", "finnish"],
+    gre: ["el", "gre", "ell", "greek"],
+    hun: ["hu", "hun", "hungarian"],
+    cze: ["cs", "cze", "ces", "czech"],
+    rum: ["ro", "rum", "ron", "romanian"],
+    vie: ["vi", "vie", "vietnamese"],
+    ind: ["id", "ind", "indonesian"]
+};
+
+/**
+ * Get the lowercase extension of a filename
+ * @param {string} filename
+ * @returns {string}
+ */
+function getExtension(filename) {
+    const match = (filename || "").match(/\.([^./]+)$/);
+    return match ? match[1].toLowerCase() : "";
+}
+
+/**
+ * Check whether a filename is a supported subtitle file
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isSubtitleFile(filename) {
+    return SUBTITLE_EXTENSIONS.includes(getExtension(filename));
+}
+
+/**
+ * Guess the subtitle language from its filename (e.g. "Movie.2020.en.srt", "2_English.srt")
+ * @param {string} filename
+ * @returns {string} ISO 639-2 code, or "und" if unknown
+ */
+function guessLanguage(filename) {
+    const tokens = (filename || "")
+        .toLowerCase()
+        .replace(/\.[^./]+$/, "")
+        .split(/[\s._\-[\]()]+/)
+        .filter(Boolean);
+
+    // Language tags usually sit at the end of the name, so check from the back
+    for (let i = tokens.length - 1; i >= 0; i--) {
+        for (const [code, aliases] of Object.entries(LANGUAGE_TOKENS)) {
+            // Two-letter codes are only trusted as the last token to avoid matching title words
+            if (aliases.includes(tokens[i]) && (tokens[i].length > 2 || i === tokens.length - 1)) {
+                return code;
+            }
+        }
+    }
+
+    return "und";
+}
+
+/**
+ * Convert SRT subtitles to WebVTT
+ * @param {string} content - SRT file content
+ * @returns {string}
+ */
+function srtToVtt(content) {
+    const body = content
+        .replace(/\r\n?/g, "\n")
+        .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, "$1.$2")
+        .trim();
+
+    return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Convert an ASS/SSA timestamp (H:MM:SS.cc) to a WebVTT timestamp (HH:MM:SS.mmm)
+ */
+function assTimeToVtt(time) {
+    const match = time.trim().match(/^(\d+):(\d{2}):(\d{2})[.:](\d{2})$/);
+    if (!match) {
+        return null;
+    }
+    return `${match[1].padStart(2, "0")}:${match[2]}:${match[3]}.${match[4]}0`;
+}
+
+/**
+ * Convert ASS/SSA subtitles to WebVTT (dialogue text only, styling is dropped)
+ * @param {string} content - ASS/SSA file content
+ * @returns {string}
+ */
+function assToVtt(content) {
+    const lines = content.replace(/\r\n?/g, "\n").split("\n");
+    const cues = [];
+    let format = null;
+    let inEvents = false;
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+
+        if (/^\[.+\]$/.test(trimmed)) {
+            inEvents = trimmed.toLowerCase() === "[events]";
+            continue;
+        }
+        if (!inEvents) continue;
+
+        if (trimmed.toLowerCase().startsWith("format:")) {
+            format = trimmed.substring(7).split(",").map(f => f.trim().toLowerCase());
+            continue;
+        }
+
+        if (!format || !trimmed.toLowerCase().startsWith("dialogue:")) continue;
+
+        // The text field is last and may itself contain commas
+        const values = trimmed.substring(9).split(",");
+        const fields = values.slice(0, format.length - 1).map(v => v.trim());
+        fields.push(values.slice(format.length - 1).join(","));
+
+        const start = assTimeToVtt(fields[format.indexOf("start")] || "");
+        const end = assTimeToVtt(fields[format.indexOf("end")] || "");
+        const text = (fields[format.indexOf("text")] || "")
+            .replace(/\{[^}]*\}/g, "") // override tags like {\i1}
+            .replace(/\\[Nn]/g, "\n")
+            .replace(/\\h/g, " ")
+            .trim();
+
+        if (start && end && text) {
+            cues.push({ start, end, text });
+        }
+    }
+
+    cues.sort((a, b) => a.start.localeCompare(b.start));
+
+    return "WEBVTT\n\n" + cues.map(cue => `${cue.start} --> ${cue.end}\n${cue.text}`).join("\n\n") + "\n";
+}
+
+/**
+ * Convert subtitle file content to WebVTT based on its extension
+ * @param {string} content - Raw subtitle content
+ * @param {string} filename - Original filename (for the extension)
+ * @returns {string}
+ */
+function toVtt(content, filename) {
+    const text = content.replace(/^\uFEFF/, ""); // strip BOM
+    const extension = getExtension(filename);
+
+    if (extension === "vtt") {
+        return text;
+    }
+    if (extension === "ass" || extension === "ssa") {
+        return assToVtt(text);
+    }
+    return srtToVtt(text);
+}
+
+/**
+ * Find subtitle files in a Seedr folder (and its "Subs" subfolders) that belong to a video
+ * @param {string} accessToken - The access token
+ * @param {string|null} folderId - Folder containing the video (null for root)
+ * @param {string} videoName - Video filename, used to skip other episodes' subtitles
+ * @returns {Promise<Array<{fileId: string, name: string, lang: string}>>}
+ */
+async function findSubtitles(accessToken, folderId, videoName = "") {
+    const folderData = await seedrApi.getFolder(accessToken, folderId);
+    const files = [...(folderData.files || [])];
+
+    for (const folder of folderData.folders || []) {
+        if (SUBTITLE_FOLDER_PATTERN.test(folder.name)) {
+            try {
+                const subFolder = await seedrApi.getFolder(accessToken, folder.id);
+                files.push(...(subFolder.files || []));
+
+                // Season packs often nest one folder per episode inside "Subs"
+                for (const episodeFolder of subFolder.folders || []) {
+                    const episodeData = await seedrApi.getFolder(accessToken, episodeFolder.id);
+                    files.push(...(episodeData.files || []).map(f => ({ ...f, name: `${episodeFolder.name}/${f.name}` })));
+                }
+            } catch (error) {
+                console.error("Error reading subtitle folder:", folder.name, error.message);
+            }
+        }
+    }
+
+    const video = releaseParser.parseReleaseName(videoName);
+
+    return files
+        .filter(file => isSubtitleFile(file.name))
+        .filter(file => {
+            // In season packs, only keep subtitles for the same episode
+            if (video.episode === null) return true;
+            const subtitle = releaseParser.parseReleaseName(file.name.replace("/", " "));
+            return subtitle.episode === null || subtitle.episode === video.episode;
+        })
+        .map(file => ({
+            fileId: file.folder_file_id.toString(),
+            name: file.name,
+            lang: guessLanguage(file.name.split("/").pop())
+        }));
+}
+
+/**
+ * Download a subtitle file from Seedr and convert it to WebVTT
+ * @param {string} accessToken - The access token
+ * @param {string} fileId - The folder_file_id of the subtitle file
+ * @returns {Promise<string>}
+ */
+async function fetchSubtitleAsVtt(accessToken, fileId) {
+    const fileData = await seedrApi.getStreamUrl(accessToken, fileId);
+
+    if (!fileData || !fileData.url) {
+        throw new Error("Subtitle file not found in Seedr");
+    }
+
+    // Only download files that are subtitles - the ID could point at a multi-GB video
+    if (!isSubtitleFile(fileData.name || "")) {
+        throw new Error("Not a subtitle file");
+    }
+    if (fileData.size > MAX_SUBTITLE_BYTES) {
+        throw new Error("Subtitle file too large");
+    }
+
+    const response = await axios.get(fileData.url, {
+        responseType: "text",
+        timeout: 15000,
+        maxContentLength: MAX_SUBTITLE_BYTES
+    });
+
+    return toVtt(response.data, fileData.name || "");
+}
+
+module.exports = {
+    isSubtitleFile,
+    guessLanguage,
+    srtToVtt,
+    assToVtt,
+    toVtt,
+    findSubtitles,
+    fetchSubtitleAsVtt
+};
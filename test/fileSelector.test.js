@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fileSelector = require("../fileSelector");
+
+function video(path, size = 1000) {
+    return { id: path, name: path.split("/").pop(), path, size };
+}
+
+test("selectVideoFile: picks the requested episode from a season pack", () => {
+    const videos = [
+        video("The.Bear.S02/The.Bear.S02E01.mkv"),
+        video("The.Bear.S02/The.Bear.S02E02.mkv"),
+        video("The.Bear.S02/The.Bear.S02E03.mkv")
+    ];
+    const selection = fileSelector.selectVideoFile(videos, { season: 2, episode: 2 });
+    assert.equal(selection.video.path, "The.Bear.S02/The.Bear.S02E02.mkv");
+    assert.equal(selection.reason, "episode");
+});
+
+test("selectVideoFile: a single video without SxxExx serves the requested episode", () => {
+    const videos = [video("The.Daily.Show.2024.01.15.mkv")];
+    const selection = fileSelector.selectVideoFile(videos, { fileIdx: "0", season: 29, episode: 10 });
+    assert.equal(selection.video.path, "The.Daily.Show.2024.01.15.mkv");
+    assert.equal(selection.reason, "only");
+});
+
+test("selectVideoFile: samples don't count against a single episode", () => {
+    const videos = [video("Show.2024.01.15/Show.2024.01.15.mkv", 5000), video("Show.2024.01.15/Sample/sample.mkv", 50)];
+    const selection = fileSelector.selectVideoFile(videos, { season: 1, episode: 3 });
+    assert.equal(selection.video.path, "Show.2024.01.15/Show.2024.01.15.mkv");
+});
+
+test("selectVideoFile: a single video named as another episode is not served", () => {
+    const videos = [video("Show.S01E05.mkv")];
+    assert.equal(fileSelector.selectVideoFile(videos, { season: 1, episode: 6 }), null);
+});
+
+test("selectVideoFile: movies get the largest non-sample video", () => {
+    const videos = [video("Movie/Movie.mkv", 8000), video("Movie/Movie.sample.mkv", 9000), video("Movie/Extras.mkv", 100)];
+    const selection = fileSelector.selectVideoFile(videos, {});
+    assert.equal(selection.video.path, "Movie/Movie.mkv");
+    assert.equal(selection.reason, "largest");
+});
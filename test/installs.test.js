@@ -0,0 +1,84 @@
+process.env.STATE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+/**
+ * Load installs.js with a given INSTALL_SECRET ("" = stored IDs); the store is shared
+ */
+function loadInstalls(secret) {
+    process.env.INSTALL_SECRET = secret;
+    delete require.cache[require.resolve("../installs")];
+    return require("../installs");
+}
+
+// ============================================
+// Sealed IDs (INSTALL_SECRET set)
+// ============================================
+test("sealed: tokens round-trip through the ID", () => {
+    const installs = loadInstalls("test-secret");
+    const id = installs.createInstall(["token-a", "token-b"]);
+
+    assert.ok(id.startsWith("s."));
+    assert.ok(!id.includes("token-a"));
+    assert.deepEqual(installs.getInstall(id), { status: "active", tokens: ["token-a", "token-b"] });
+});
+
+test("sealed: a tampered ID is unknown", () => {
+    const installs = loadInstalls("test-secret");
+    const id = installs.createInstall("token-a");
+    const blob = Buffer.from(id.slice(2), "base64url");
+    blob[blob.length - 1] ^= 1;
+
+    assert.deepEqual(installs.getInstall(`s.${blob.toString("base64url")}`), { status: "unknown", tokens: null });
+    assert.equal(installs.getInstall("s.garbage").status, "unknown");
+});
+
+test("sealed: an ID sealed with another secret is unknown", () => {
+    const id = loadInstalls("other-secret").createInstall("token-a");
+    assert.equal(loadInstalls("test-secret").getInstall(id).status, "unknown");
+});
+
+test("sealed: revoked IDs are told apart from unknown ones", () => {
+    const installs = loadInstalls("test-secret");
+    const id = installs.createInstall("token-a");
+
+    assert.equal(installs.revokeInstall(id), true);
+    assert.deepEqual(installs.getInstall(id), { status: "revoked", tokens: null });
+    assert.equal(installs.revokeInstall(id), false);
+});
+
+test("sealed: adding an account issues a new ID and revokes the old one", () => {
+    const installs = loadInstalls("test-secret");
+    const id = installs.createInstall("token-a");
+    const replacement = installs.addAccount(id, "token-b");
+
+    assert.notEqual(replacement, id);
+    assert.deepEqual(installs.getInstallTokens(replacement), ["token-a", "token-b"]);
+    assert.equal(installs.getInstall(id).status, "revoked");
+    assert.equal(installs.addAccount(id, "token-c"), null);
+});
+
+// ============================================
+// Stored IDs (no INSTALL_SECRET)
+// ============================================
+test("stored: IDs map to their tokens and are reused per token", () => {
+    const installs = loadInstalls("");
+    const id = installs.getOrCreateInstall("token-s");
+
+    assert.ok(!id.startsWith("s."));
+    assert.equal(installs.getOrCreateInstall("token-s"), id);
+    assert.deepEqual(installs.getInstall(id), { status: "active", tokens: ["token-s"] });
+    assert.equal(installs.addAccount(id, "token-t"), id);
+    assert.deepEqual(installs.getInstallTokens(id), ["token-s", "token-t"]);
+});
+
+test("stored: revoked IDs are told apart from unknown ones", () => {
+    const installs = loadInstalls("");
+    const id = installs.createInstall("token-s");
+
+    assert.equal(installs.revokeInstall(id), true);
+    assert.deepEqual(installs.getInstall(id), { status: "revoked", tokens: null });
+    assert.deepEqual(installs.getInstall("never-issued"), { status: "unknown", tokens: null });
+    assert.notEqual(installs.getOrCreateInstall("token-s"), id);
+});
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const placeholderVideo = require("../placeholderVideo");
+
+const STATUS = { title: "Dune Part Two", progress: 42, lines: ["Downloading to Seedr", "3.2 MB/s - 4 min left"] };
+
+/**
+ * Split a segment into TS packets with their header fields and payload
+ */
+function parsePackets(segment) {
+    const packets = [];
+    for (let offset = 0; offset < segment.length; offset += 188) {
+        const packet = segment.subarray(offset, offset + 188);
+        const hasAdaptation = (packet[3] & 0x20) !== 0;
+        const payloadStart = hasAdaptation ? 5 + packet[4] : 4;
+        packets.push({
+            packet,
+            pid: ((packet[1] & 0x1f) << 8) | packet[2],
+            unitStart: (packet[1] & 0x40) !== 0,
+            counter: packet[3] & 0x0f,
+            payload: packet.subarray(payloadStart)
+        });
+    }
+    return packets;
+}
+
+/**
+ * MPEG-2 CRC32 over a PSI section including its CRC is 0 when the CRC is right
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc ^= byte << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+    }
+    return crc >>> 0;
+}
+
+function psiSection(payload) {
+    const section = payload.subarray(1 + payload[0]); // skip pointer_field
+    const length = ((section[1] & 0x0f) << 8) | section[2];
+    return section.subarray(0, 3 + length);
+}
+
+function readPts(pes) {
+    return (pes[9] & 0x0e) * 2 ** 29 + (pes[10] << 22) + ((pes[11] & 0xfe) << 14) + (pes[12] << 7) + (pes[13] >> 1);
+}
+
+// PES packets of the video PID, reassembled
+function videoFrames(packets, pid) {
+    const frames = [];
+    for (const { pid: packetPid, unitStart, payload } of packets) {
+        if (packetPid !== pid) continue;
+        if (unitStart) frames.push([]);
+        frames[frames.length - 1].push(payload);
+    }
+    return frames.map(parts => Buffer.concat(parts));
+}
+
+// NAL unit types in a PES packet, after its header
+function nalTypes(pes) {
+    const elementaryStream = pes.subarray(9 + pes[8]);
+    const types = [];
+    for (let i = 0; i + 3 < elementaryStream.length; i++) {
+        if (elementaryStream[i] === 0 && elementaryStream[i + 1] === 0 && elementaryStream[i + 2] === 1) {
+            types.push(elementaryStream[i + 3] & 0x1f);
+        }
+    }
+    return types;
+}
+
+// ============================================
+// MPEG-TS segments
+// ============================================
+test("renderSegment: whole 188-byte packets with sync bytes", () => {
+    const segment = placeholderVideo.renderSegment(STATUS, 0);
+    assert.equal(segment.length % 188, 0);
+    for (const { packet } of parsePackets(segment)) {
+        assert.equal(packet[0], 0x47);
+    }
+});
+
+test("renderSegment: starts with a PAT and a PMT for one H.264 stream", () => {
+    const [pat, pmt] = parsePackets(placeholderVideo.renderSegment(STATUS, 0));
+
+    assert.equal(pat.pid, 0);
+    const patSection = psiSection(pat.payload);
+    assert.equal(patSection[0], 0x00);
+    assert.equal(crc32(patSection), 0);
+    const pmtPid = ((patSection[10] & 0x1f) << 8) | patSection[11];
+
+    assert.equal(pmt.pid, pmtPid);
+    const pmtSection = psiSection(pmt.payload);
+    assert.equal(pmtSection[0], 0x02);
+    assert.equal(crc32(pmtSection), 0);
+    assert.equal(pmtSection[12], 0x1b); // stream_type H.264
+});
+
+test("renderSegment: continuity counters count up per PID", () => {
+    const packets = parsePackets(placeholderVideo.renderSegment(STATUS, 0));
+    const last = new Map();
+    for (const { pid, counter } of packets) {
+        if (last.has(pid)) {
+            assert.equal(counter, (last.get(pid) + 1) & 0x0f, `PID ${pid}`);
+        }
+        last.set(pid, counter);
+    }
+});
+
+test("renderSegment: one keyframe then skip frames, timestamps continue across segments", () => {
+    const framesPerSegment = 10; // 5 s at 2 fps
+    const first = parsePackets(placeholderVideo.renderSegment(STATUS, 0));
+    const second = parsePackets(placeholderVideo.renderSegment(STATUS, 1));
+    const videoPid = first[2].pid;
+
+    const frames = videoFrames(first, videoPid);
+    assert.equal(frames.length, framesPerSegment);
+    assert.deepEqual(nalTypes(frames[0]), [9, 7, 8, 5]); // AUD, SPS, PPS, IDR
+    for (const frame of frames.slice(1)) {
+        assert.deepEqual(nalTypes(frame), [9, 1]); // AUD, P slice
+    }
+
+    const pts = frames.map(readPts);
+    for (let i = 1; i < pts.length; i++) {
+        assert.equal(pts[i] - pts[i - 1], 90000 / 2);
+    }
+    assert.equal(readPts(videoFrames(second, videoPid)[0]) - pts[0], 5 * 90000);
+});
+
+// ============================================
+// HLS playlist
+// ============================================
+test("playlist: one 5 s entry per segment and an end marker", () => {
+    const text = placeholderVideo.playlist(index => `abc/${index}.ts`);
+    const lines = text.trim().split("\n");
+
+    assert.equal(lines[0], "#EXTM3U");
+    assert.ok(lines.includes("#EXT-X-TARGETDURATION:5"));
+    const durations = lines.filter(line => line.startsWith("#EXTINF:")).map(line => parseFloat(line.slice(8)));
+    assert.equal(durations.length, placeholderVideo.SEGMENT_COUNT);
+    assert.ok(durations.every(duration => duration === 5));
+    assert.deepEqual(lines.filter(line => line.endsWith(".ts")), [...Array(placeholderVideo.SEGMENT_COUNT).keys()].map(i => `abc/${i}.ts`));
+    assert.equal(lines[lines.length - 1], "#EXT-X-ENDLIST");
+});
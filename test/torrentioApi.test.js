@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const torrentioApi = require("../torrentioApi");
+const fixtures = require("./fixtures/torrentio-streams.json");
+
+// ============================================
+// parseStream - real-world Torrentio titles
+// ============================================
+for (const { description, stream, expected } of fixtures) {
+    test(`parseStream: ${description}`, () => {
+        const parsed = torrentioApi.parseStream(stream);
+        const actual = Object.fromEntries(Object.keys(expected).map(key => [key, parsed[key]]));
+        assert.deepEqual(actual, expected);
+    });
+}
+
+test("parseStream: streams without an infoHash are skipped", () => {
+    assert.equal(torrentioApi.parseStream({ name: "Torrentio\n1080p", title: "Some.Movie.2024.1080p" }), null);
+});
+
+// ============================================
+// parseSizeToBytes
+// ============================================
+test("parseSizeToBytes: converts MB, GB and TB with powers of 1024", () => {
+    assert.equal(torrentioApi.parseSizeToBytes("512 MB"), 512 * 1024 ** 2);
+    assert.equal(torrentioApi.parseSizeToBytes("6.91 GB"), Math.round(6.91 * 1024 ** 3));
+    assert.equal(torrentioApi.parseSizeToBytes("1.5TB"), 1.5 * 1024 ** 4);
+});
+
+test("parseSizeToBytes: unknown sizes are 0", () => {
+    assert.equal(torrentioApi.parseSizeToBytes("Unknown"), 0);
+    assert.equal(torrentioApi.parseSizeToBytes(undefined), 0);
+});
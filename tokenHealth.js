@@ -0,0 +1,81 @@
+const seedrApi = require("./seedrApi");
+const store = require("./store");
+const torrentIndex = require("./torrentIndex");
+
+// ============================================
+// Token Health - notice when a Seedr token stops working
+// ============================================
+// Seedr failures otherwise look like an empty library. Each token's state is
+// cached so catalogs and streams can show a "Reconnect Seedr" entry instead.
+const HEALTHY_TTL = 5 * 60 * 1000; // re-check a working token every 5 minutes
+const BROKEN_TTL = 60 * 1000; // re-check a broken token sooner, in case Seedr recovers
+const health = store.namespace("health", { ttl: HEALTHY_TTL, maxEntries: 1000 });
+const checks = new Map(); // account key -> in-flight validateCredentials
+
+const AUTH_FAILURE_MESSAGES = {
+    expired: "Your Seedr login has expired.",
+    invalid: "Seedr no longer accepts this addon's login (it was revoked or the password changed)."
+};
+
+function markBroken(key, authFailure, message) {
+    const state = {
+        status: "broken",
+        authFailure,
+        message: AUTH_FAILURE_MESSAGES[authFailure] || message,
+        checkedAt: Date.now()
+    };
+    health.set(key, state, BROKEN_TTL);
+    console.log(`🔐 Seedr token ${authFailure}: ${state.message}`);
+    return state;
+}
+
+/**
+ * Get the health of a token, checking it against Seedr when the cached state is stale
+ * Network errors and Seedr outages count as healthy - only auth failures break a token.
+ * @param {string} accessToken - The access token
+ * @returns {Promise<{status: "ok"|"broken", authFailure: string|null, message: string|null, checkedAt: number}>}
+ */
+async function checkTokenHealth(accessToken) {
+    const key = torrentIndex.accountKey(accessToken);
+    const cached = health.get(key);
+    if (cached) {
+        return cached;
+    }
+
+    if (!checks.has(key)) {
+        const check = seedrApi.validateCredentials(accessToken)
+            .then(result => {
+                if (result.authFailure) {
+                    return markBroken(key, result.authFailure, result.message);
+                }
+
+                const state = { status: "ok", authFailure: null, message: null, checkedAt: Date.now() };
+                // Temporary errors are retried sooner than a confirmed working token
+                health.set(key, state, result.status === "success" ? HEALTHY_TTL : BROKEN_TTL);
+                return state;
+            })
+            .finally(() => checks.delete(key));
+        checks.set(key, check);
+    }
+    return checks.get(key);
+}
+
+/**
+ * Record a failed Seedr request; auth failures mark the token as broken
+ * @param {string} accessToken - The access token
+ * @param {Error} error - Error thrown by a Seedr API call
+ * @returns {boolean} Whether the error was an auth failure
+ */
+function reportFailure(accessToken, error) {
+    const authFailure = seedrApi.getAuthFailure(error);
+    if (!authFailure) {
+        return false;
+    }
+    markBroken(torrentIndex.accountKey(accessToken), authFailure, error.message);
+    return true;
+}
+
+module.exports = {
+    checkTokenHealth,
+    reportFailure
+};
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const store = require("./store");
+
+// ============================================
+// Torrent Index - infoHash <-> IMDb <-> Seedr folder/file
+// ============================================
+// Kept in the store so "Ready" detection survives restarts.
+// Seedr folder/file IDs only make sense within one account, so entries
+// are keyed by a hash of the access token (the token itself is never stored).
+const ENTRY_TTL = 90 * 24 * 60 * 60 * 1000; // forget torrents untouched for 90 days; pinned ones never
+const torrents = store.namespace("torrents"); // "<account key>:<infoHash>" -> entry
+
+// Standalone index file used before the store, imported once
+const LEGACY_INDEX_FILE = process.env.TORRENT_INDEX_FILE || path.join(__dirname, "data", "torrent-index.json");
+
+let imported = false;
+
+/**
+ * Derive a stable, non-reversible key for an account from its access token
+ * @param {string} accessToken - The access token
+ * @returns {string}
+ */
+function accountKey(accessToken) {
+    return crypto.createHash("sha256").update(accessToken).digest("hex").substring(0, 16);
+}
+
+function saveEntry(key, entry) {
+    torrents.set(key, entry, entry.pinned ? 0 : ENTRY_TTL);
+}
+
+/**
+ * Move entries from the old standalone index file into the store, on first use
+ */
+function importLegacyIndex() {
+    if (imported) {
+        return;
+    }
+    imported = true;
+
+    let legacy;
+    try {
+        legacy = JSON.parse(fs.readFileSync(LEGACY_INDEX_FILE, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            console.error("Error reading old torrent index, skipping import:", error.message);
+        }
+        return;
+    }
+
+    let count = 0;
+    for (const [account, entries] of Object.entries(legacy.accounts || {})) {
+        for (const [hash, entry] of Object.entries(entries)) {
+            if (!torrents.get(`${account}:${hash}`)) {
+                saveEntry(`${account}:${hash}`, entry);
+                count++;
+            }
+        }
+    }
+
+    try {
+        fs.renameSync(LEGACY_INDEX_FILE, `${LEGACY_INDEX_FILE}.imported`);
+    } catch (error) {
+        console.error("Error renaming old torrent index:", error.message);
+    }
+    console.log(`📇 Imported ${count} torrents from ${LEGACY_INDEX_FILE}`);
+}
+
+/**
+ * Store key for a torrent of an account
+ */
+function entryKey(accessToken, infoHash) {
+    importLegacyIndex();
+    return `${accountKey(accessToken)}:${infoHash.toLowerCase()}`;
+}
+
+/**
+ * Get all index entries for an account
+ * @param {string} accessToken - The access token
+ * @returns {Array<Object>}
+ */
+function getAccountEntries(accessToken) {
+    importLegacyIndex();
+    const prefix = `${accountKey(accessToken)}:`;
+    return torrents.entries()
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([, entry]) => entry);
+}
+
+/**
+ * Record (or update) what we know about a torrent
+ * @param {string} accessToken - The access token
+ * @param {string} infoHash - Torrent info hash
+ * @param {{imdbId?: string, name?: string, folderId?: string|number, torrentId?: string|number, fileId?: string|number}} details
+ * @returns {Object} The updated entry
+ */
+function recordTorrent(accessToken, infoHash, details = {}) {
+    const key = entryKey(accessToken, infoHash);
+
+    const entry = torrents.get(key) || {
+        infoHash: infoHash.toLowerCase(),
+        name: null,
+        folderId: null,
+        torrentId: null,
+        imdb: {},
+        addedAt: Date.now()
+    };
+
+    if (details.name) entry.name = details.name;
+    if (details.folderId) entry.folderId = details.folderId.toString();
+    if (details.torrentId) entry.torrentId = details.torrentId.toString();
+
+    // IMDb IDs include season:episode for series, so one season pack maps to many files
+    if (details.imdbId) {
+        const existing = entry.imdb[details.imdbId] || {};
+        entry.imdb[details.imdbId] = {
+            fileId: details.fileId ? details.fileId.toString() : existing.fileId || null
+        };
+    }
+
+    entry.updatedAt = Date.now();
+    saveEntry(key, entry);
+
+    return entry;
+}
+
+/**
+ * Look up a torrent by info hash
+ * @param {string} accessToken - The access token
+ * @param {string} infoHash - Torrent info hash
+ * @returns {Object|null}
+ */
+function getByInfoHash(accessToken, infoHash) {
+    return torrents.get(entryKey(accessToken, infoHash)) || null;
+}
+
+/**
+ * Find downloaded files recorded for an exact IMDb ID (e.g. "tt0903747:1:2")
+ * @param {string} accessToken - The access token
+ * @param {string} imdbId - IMDb ID, with season:episode for series
+ * @returns {Array<{infoHash: string, name: string|null, folderId: string|null, fileId: string}>}
+ */
+function findFilesByImdb(accessToken, imdbId) {
+    const matches = [];
+
+    for (const entry of getAccountEntries(accessToken)) {
+        const file = entry.imdb[imdbId];
+        if (file && file.fileId) {
+            matches.push({
+                infoHash: entry.infoHash,
+                name: entry.name,
+                folderId: entry.folderId,
+                fileId: file.fileId
+            });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Note that a torrent was just played (drives least-recently-played eviction)
+ * @param {string} accessToken - The access token
+ * @param {string} infoHash - Torrent info hash
+ */
+function markPlayed(accessToken, infoHash) {
+    const key = entryKey(accessToken, infoHash);
+    const entry = torrents.get(key);
+    if (entry) {
+        entry.lastPlayedAt = Date.now();
+        saveEntry(key, entry);
+    }
+}
+
+/**
+ * Pin or unpin a torrent - pinned torrents are never evicted
+ * @param {string} accessToken - The access token
+ * @param {string} infoHash - Torrent info hash
+ * @param {boolean} pinned
+ * @returns {Object} The updated entry
+ */
+function setPinned(accessToken, infoHash, pinned) {
+    const entry = recordTorrent(accessToken, infoHash);
+    entry.pinned = !!pinned;
+    saveEntry(entryKey(accessToken, infoHash), entry);
+    return entry;
+}
+
+/**
+ * Forget a torrent (e.g. after its Seedr folder was deleted)
+ * @param {string} accessToken - The access token
+ * @param {string} infoHash - Torrent info hash
+ */
+function removeTorrent(accessToken, infoHash) {
+    torrents.delete(entryKey(accessToken, infoHash));
+}
+
+module.exports = {
+    accountKey,
+    recordTorrent,
+    getByInfoHash,
+    findFilesByImdb,
+    markPlayed,
+    setPinned,
+    removeTorrent
+};
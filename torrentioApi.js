@@ -1,18 +1,103 @@
 const axios = require("axios");
+const releaseParser = require("./releaseParser");
+const publicUrl = require("./publicUrl");
 
 // Torrentio API Configuration
-const TORRENTIO_BASE_URL = "https://torrentio.strem.fun";
+// Can be pointed at a self-hosted instance or local mirror.
+// Per-install base URLs (from the addon URL) must be public hosts - see publicUrl.js.
+const TORRENTIO_BASE_URL = (process.env.TORRENTIO_BASE_URL || "https://torrentio.strem.fun").replace(/\/+$/, "");
+
+// Options Torrentio accepts in its config path (e.g. "providers=yts,eztv|sort=seeders")
+const TORRENTIO_PROVIDERS = [
+    "yts", "eztv", "rarbg", "1337x", "thepiratebay", "kickasstorrents", "torrentgalaxy",
+    "magnetdl", "horriblesubs", "nyaasi", "tokyotosho", "anidex", "rutor", "rutracker",
+    "comando", "bludv", "torrent9", "ilcorsaronero", "mejortorrent", "wolfmax4k", "cinecalidad",
+    "besttorrents"
+];
+const TORRENTIO_SORTS = ["quality", "qualitysize", "seeders", "size"];
+const TORRENTIO_QUALITY_FILTERS = [
+    "brremux", "hdrall", "dolbyvision", "dolbyvisionwithhdr", "threed", "nonthreed",
+    "4k", "1080p", "720p", "480p", "other", "scr", "cam", "unknown"
+];
+const TORRENTIO_LANGUAGES = [
+    "japanese", "russian", "italian", "portuguese", "spanish", "latino", "korean", "chinese",
+    "taiwanese", "french", "german", "dutch", "hindi", "telugu", "tamil", "polish", "lithuanian",
+    "latvian", "estonian", "czech", "slovakian", "slovenian", "hungarian", "romanian", "bulgarian",
+    "serbian", "croatian", "ukrainian", "greek", "danish", "finnish", "swedish", "norwegian",
+    "turkish", "arabic", "persian", "hebrew", "vietnamese", "indonesian", "malay", "thai"
+];
+
+/**
+ * Validate per-install Torrentio options, dropping anything Torrentio doesn't know
+ * @param {Object} raw - Options as decoded from the addon config
+ * @returns {{baseUrl: string, providers: string[], sort: string, qualityfilter: string[], language: string[]}}
+ */
+function normalizeOptions(raw = {}) {
+    if (!raw || typeof raw !== "object") raw = {};
+    const pick = (values, allowed) => Array.isArray(values)
+        ? [...new Set(values.map(v => String(v).toLowerCase()).filter(v => allowed.includes(v)))]
+        : [];
+
+    let baseUrl = "";
+    if (typeof raw.baseUrl === "string" && raw.baseUrl.trim()) {
+        try {
+            const url = new URL(raw.baseUrl.trim());
+            if (publicUrl.isPublicUrl(url.toString())) {
+                baseUrl = url.toString().replace(/\/+$/, "");
+            } else {
+                console.warn("Ignoring non-public Torrentio base URL:", raw.baseUrl);
+            }
+        } catch (error) {
+            console.warn("Ignoring invalid Torrentio base URL:", raw.baseUrl);
+        }
+    }
+
+    return {
+        baseUrl,
+        providers: pick(raw.providers, TORRENTIO_PROVIDERS),
+        sort: TORRENTIO_SORTS.includes(raw.sort) ? raw.sort : "",
+        qualityfilter: pick(raw.qualityfilter, TORRENTIO_QUALITY_FILTERS),
+        language: pick(raw.language, TORRENTIO_LANGUAGES)
+    };
+}
+
+/**
+ * Build the Torrentio URL prefix for the given options
+ * (e.g. "https://torrentio.strem.fun/providers=yts,eztv|sort=seeders")
+ * @param {Object} options - Torrentio options (validated here)
+ * @returns {string}
+ */
+function buildBaseUrl(options = {}) {
+    const opts = normalizeOptions(options);
+    const parts = [];
+
+    if (opts.providers.length > 0) parts.push(`providers=${opts.providers.join(",")}`);
+    if (opts.sort) parts.push(`sort=${opts.sort}`);
+    if (opts.qualityfilter.length > 0) parts.push(`qualityfilter=${opts.qualityfilter.join(",")}`);
+    if (opts.language.length > 0) parts.push(`language=${opts.language.join(",")}`);
+
+    const baseUrl = opts.baseUrl || TORRENTIO_BASE_URL;
+    return parts.length > 0 ? `${baseUrl}/${parts.join("|")}` : baseUrl;
+}
+
+/**
+ * axios options for a Torrentio request; a per-install base URL may only reach public hosts
+ */
+function requestOptions(options) {
+    return normalizeOptions(options).baseUrl
+        ? { timeout: 10000, ...publicUrl.requestOptions }
+        : { timeout: 10000 };
+}
 
 /**
  * Get available streams for a movie from Torrentio
  * @param {string} imdbId - IMDB ID (e.g., "tt0111161")
+ * @param {Object} options - Torrentio options (providers, sort, qualityfilter, language, baseUrl)
  * @returns {Promise<Array<{infoHash: string, title: string, name: string, quality: string, size: string, seeders: string, source: string, filename: string, trackers: string[]}>>}
  */
-async function getMovieStreams(imdbId) {
+async function getMovieStreams(imdbId, options = {}) {
     try {
-        const response = await axios.get(`${TORRENTIO_BASE_URL}/stream/movie/${imdbId}.json`, {
-            timeout: 10000
-        });
+        const response = await axios.get(`${buildBaseUrl(options)}/stream/movie/${imdbId}.json`, requestOptions(options));
 
         if (!response.data || !response.data.streams) {
             return [];
@@ -29,16 +114,15 @@ async function getMovieStreams(imdbId) {
 /**
  * Get available streams for a series from Torrentio
  * @param {string} imdbId - IMDB ID (e.g., "tt0111161:1:1" for S1:E1)
+ * @param {Object} options - Torrentio options (providers, sort, qualityfilter, language, baseUrl)
  * @returns {Promise<Array>}
  */
-async function getSeriesStreams(imdbId) {
+async function getSeriesStreams(imdbId, options = {}) {
     try {
         // ID format for series in Stremio is usually "tt123456:1:1" (IMDB:Season:Episode)
         console.log("Fetching series streams for:", imdbId);
 
-        const response = await axios.get(`${TORRENTIO_BASE_URL}/stream/series/${imdbId}.json`, {
-            timeout: 10000
-        });
+        const response = await axios.get(`${buildBaseUrl(options)}/stream/series/${imdbId}.json`, requestOptions(options));
 
         if (!response.data || !response.data.streams) {
             return [];
@@ -51,10 +135,116 @@ async function getSeriesStreams(imdbId) {
     }
 }
 
+// Flag emojis Torrentio appends to titles -> ISO 639-2 language codes
+const FLAG_LANGUAGES = {
+    "🇬🇧": "eng", "🇺🇸": "eng", "🇮🇹": "ita", "🇪🇸": "spa", "🇲🇽": "spa", "🇫🇷": "fre",
+    "🇩🇪": "ger", "🇵🇹": "por", "🇧🇷": "por", "🇷🇺": "rus", "🇺🇦": "ukr", "🇵🇱": "pol",
+    "🇨🇿": "cze", "🇸🇰": "slo", "🇸🇮": "slv", "🇭🇺": "hun", "🇷🇴": "rum", "🇧🇬": "bul",
+    "🇷🇸": "srp", "🇭🇷": "hrv", "🇳🇱": "dut", "🇩🇰": "dan", "🇫🇮": "fin", "🇸🇪": "swe",
+    "🇳🇴": "nor", "🇬🇷": "gre", "🇹🇷": "tur", "🇸🇦": "ara", "🇮🇱": "heb", "🇮🇷": "per",
+    "🇮🇳": "hin", "🇯🇵": "jpn", "🇰🇷": "kor", "🇨🇳": "chi", "🇹🇼": "chi", "🇻🇳": "vie",
+    "🇹🇭": "tha", "🇮🇩": "ind", "🇲🇾": "may", "🇱🇹": "lit", "🇱🇻": "lav", "🇪🇪": "est"
+};
+
+// Language words used in release names
+const LANGUAGE_WORDS = [
+    { pattern: /\beng(lish)?\b/i, code: "eng" },
+    { pattern: /\bita(lian)?\b/i, code: "ita" },
+    { pattern: /\b(spa(nish)?|esp|castellano|latino)\b/i, code: "spa" },
+    { pattern: /\b(french|vff|vfq|truefrench)\b/i, code: "fre" },
+    { pattern: /\b(ger(man)?|deu)\b/i, code: "ger" },
+    { pattern: /\b(portuguese|dublado)\b/i, code: "por" },
+    { pattern: /\brus(sian)?\b/i, code: "rus" },
+    { pattern: /\bhindi\b/i, code: "hin" },
+    { pattern: /\b(japanese|jpn)\b/i, code: "jpn" },
+    { pattern: /\bkor(ean)?\b/i, code: "kor" }
+];
+
+const HDR_PATTERNS = [
+    { pattern: /\b(dv|dovi|dolby ?vision)\b/i, value: "DV" },
+    { pattern: /\bhdr10(\+|plus)/i, value: "HDR10+" },
+    { pattern: /\bhdr10\b(?!\+)/i, value: "HDR10" },
+    { pattern: /\bhdr\b/i, value: "HDR" }
+];
+
+const AUDIO_PATTERNS = [
+    { pattern: /\batmos\b/i, value: "Atmos" },
+    { pattern: /\btrue ?hd\b/i, value: "TrueHD" },
+    { pattern: /\bdts[ -]?(hd|ma|x)\b/i, value: "DTS-HD" },
+    { pattern: /\bdts\b/i, value: "DTS" },
+    { pattern: /\b(ddp|dd\+|e-?ac-?3|eac3)/i, value: "DD+" },
+    { pattern: /\b(dd|ac-?3)(?=[\s.]?\d\.\d|\b)/i, value: "DD" },
+    { pattern: /\baac\b/i, value: "AAC" },
+    { pattern: /\bflac\b/i, value: "FLAC" },
+    { pattern: /\bopus\b/i, value: "Opus" }
+];
+
+const CHANNEL_PATTERN = /(?<!\d)([257]\.[01])(?!\d)/;
+
+// Multi-file torrent hints in the torrent name
+const PACK_PATTERN = /\b(complete|collection|trilogy|quadrilogy|saga|box ?set|pack|season ?\d+|s\d{1,2}(?!\s?e\d))\b/i;
+
+/**
+ * @typedef {Object} ParsedStream
+ * @property {string} infoHash
+ * @property {number} fileIdx
+ * @property {string} title - Torrent name
+ * @property {string} filename - File inside the torrent (same as title for single-file torrents)
+ * @property {string} name - Raw addon stream name
+ * @property {string} quality - Quality label from the addon (e.g. "4k DV | HDR")
+ * @property {string|null} resolution - Normalized resolution (e.g. "2160p")
+ * @property {string[]} hdr - HDR formats (DV, HDR10+, HDR10, HDR)
+ * @property {string|null} codec - Video codec (x265, x264, AV1, XviD)
+ * @property {string[]} audio - Audio formats and channel layout (e.g. ["Atmos", "DD+", "5.1"])
+ * @property {string[]} languages - ISO 639-2 codes
+ * @property {boolean} multiAudio - Release advertises multiple audio tracks
+ * @property {boolean} isPack - Torrent holds several videos (season pack, collection)
+ * @property {string} size - Human readable size (e.g. "6.91 GB")
+ * @property {number} sizeBytes - Size in bytes (0 if unknown)
+ * @property {number} seeders
+ * @property {string} source - Tracker/site the torrent came from
+ * @property {string[]} trackers
+ */
+
+/**
+ * Convert a human readable size ("6.91 GB") to bytes
+ * @param {string} size
+ * @returns {number} Bytes, or 0 if unknown
+ */
+function parseSizeToBytes(size) {
+    const match = (size || "").match(/([\d.]+)\s*([KMGTP]?)B/i);
+    if (!match) {
+        return 0;
+    }
+    const units = ["", "K", "M", "G", "T", "P"];
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, units.indexOf(match[2].toUpperCase())));
+}
+
+/**
+ * Detect audio languages from flag emojis and language words
+ * @param {string} text - Full stream title
+ * @param {string} releaseName - Torrent/file name
+ * @returns {string[]} ISO 639-2 codes
+ */
+function parseLanguages(text, releaseName) {
+    const languages = new Set();
+
+    for (const [flag, code] of Object.entries(FLAG_LANGUAGES)) {
+        if (text.includes(flag)) languages.add(code);
+    }
+
+    const words = releaseName.replace(/[._]/g, " ");
+    for (const { pattern, code } of LANGUAGE_WORDS) {
+        if (pattern.test(words)) languages.add(code);
+    }
+
+    return [...languages];
+}
+
 /**
  * Parse a Torrentio stream object into our format
  * @param {Object} stream - Torrentio stream object
- * @returns {Object|null}
+ * @returns {ParsedStream|null}
  */
 function parseStream(stream) {
     if (!stream.infoHash) {
@@ -62,10 +252,14 @@ function parseStream(stream) {
     }
 
     // Parse the title to extract quality, size, seeders, source
-    // Format: "Movie.Title.2024.1080p.BluRay\n👤 48 💾 6.91 GB ⚙️ YTS"
-    const titleLines = (stream.title || "").split("\n");
-    const torrentName = titleLines[0] || "";
-    const metaLine = titleLines[1] || "";
+    // Format: "Torrent.Name.2024.1080p.BluRay\n[File.Name.mkv\n]👤 48 💾 6.91 GB ⚙️ YTS\n[Multi Audio / 🇬🇧 / 🇮🇹]"
+    // Newer addons put the details in "description" instead of "title"
+    const fullTitle = stream.title || stream.description || "";
+    const titleLines = fullTitle.split("\n").map(line => line.trim()).filter(Boolean);
+    const metaIndex = titleLines.findIndex(line => /👤|💾|⚙️/.test(line));
+    const nameLines = metaIndex === -1 ? titleLines.slice(0, 1) : titleLines.slice(0, metaIndex);
+    const torrentName = nameLines[0] || "";
+    const metaLine = metaIndex === -1 ? "" : titleLines[metaIndex];
 
     // Extract seeders (👤 number)
     const seedersMatch = metaLine.match(/👤\s*(\d+)/);
@@ -80,11 +274,25 @@ function parseStream(stream) {
     const source = sourceMatch ? sourceMatch[1].trim() : "Unknown";
 
     // Parse quality from name line (e.g., "Torrentio\n1080p" or "Torrentio\n4k HDR")
-    const nameLines = (stream.name || "").split("\n");
-    const quality = nameLines[1] || "Unknown";
+    const addonNameLines = (stream.name || "").split("\n");
+    const quality = addonNameLines[1] || "Unknown";
 
-    // Get filename from behavior hints
-    const filename = stream.behaviorHints?.filename || torrentName;
+    // Get filename from behavior hints, or the file line Torrentio adds for packs
+    const filename = stream.behaviorHints?.filename || nameLines[1] || torrentName;
+
+    // Tags can appear in the torrent name, the file name or the quality label
+    const releaseText = `${torrentName} ${filename} ${quality}`;
+    const tagText = releaseText.replace(/[._]/g, " ");
+    const release = releaseParser.parseReleaseName(releaseText);
+
+    const hdr = HDR_PATTERNS.filter(({ pattern }) => pattern.test(tagText)).map(({ value }) => value);
+    // Plain "HDR" is redundant next to HDR10/HDR10+
+    const hdrFormats = hdr.some(value => value.startsWith("HDR10")) ? hdr.filter(value => value !== "HDR") : hdr;
+
+    const audio = AUDIO_PATTERNS.filter(({ pattern }) => pattern.test(tagText)).map(({ value }) => value);
+    // Channel layouts keep their dot ("5.1"), so match before separators are normalized
+    const channels = releaseText.match(CHANNEL_PATTERN);
+    if (channels) audio.push(channels[1]);
 
     // Extract trackers from sources array
     const trackers = [];
@@ -102,7 +310,15 @@ function parseStream(stream) {
         title: torrentName,
         name: stream.name || "",
         quality,
+        resolution: release.resolution,
+        hdr: hdrFormats,
+        codec: release.codec,
+        audio: audio.filter(value => !(value === "DTS" && audio.includes("DTS-HD"))),
+        languages: parseLanguages(fullTitle, `${torrentName} ${filename}`),
+        multiAudio: /\b(multi|dual)[ -]?audio\b|🌐/i.test(fullTitle) || /\bmulti\b/i.test(tagText),
+        isPack: nameLines.length > 1 || PACK_PATTERN.test(torrentName.replace(/[._]/g, " ")),
         size,
+        sizeBytes: parseSizeToBytes(size),
         seeders: parseInt(seeders, 10),
         source,
         filename,
@@ -147,7 +363,7 @@ function buildMagnet(stream) {
 
 /**
  * Format stream for display in Stremio
- * @param {Object} stream - Parsed stream object
+ * @param {ParsedStream} stream - Parsed stream object
  * @returns {string}
  */
 function formatStreamTitle(stream) {
@@ -156,10 +372,12 @@ function formatStreamTitle(stream) {
     // Prioritize Quality
     if (stream.quality && stream.quality !== "Unknown") {
         parts.push(`${stream.quality}`);
+    } else if (stream.resolution) {
+        parts.push(stream.resolution);
     }
 
     // Then Seeders (Prominent)
-    if (stream.seeders && stream.seeders !== "0") {
+    if (stream.seeders) {
         parts.push(`👤 ${stream.seeders}`);
     }
 
@@ -173,13 +391,33 @@ function formatStreamTitle(stream) {
         parts.push(`${stream.source}`);
     }
 
-    return parts.join("  |  ");
+    // Second line: technical details, only what we could parse
+    const details = [];
+    const video = [...(stream.hdr || []), stream.codec].filter(Boolean);
+    if (video.length > 0) details.push(`🎞️ ${video.join(" ")}`);
+    if (stream.audio && stream.audio.length > 0) details.push(`🔊 ${stream.audio.join(" ")}`);
+    if (stream.languages && stream.languages.length > 0) {
+        details.push(`🗣️ ${stream.languages.join(", ")}${stream.multiAudio ? " (multi)" : ""}`);
+    } else if (stream.multiAudio) {
+        details.push("🗣️ Multi Audio");
+    }
+    if (stream.isPack) details.push("📦 Pack");
+
+    const title = parts.join("  |  ");
+    return details.length > 0 ? `${title}\n${details.join("  ")}` : title;
 }
 
 module.exports = {
+    TORRENTIO_PROVIDERS,
+    TORRENTIO_SORTS,
+    TORRENTIO_QUALITY_FILTERS,
+    TORRENTIO_LANGUAGES,
+    normalizeOptions,
+    buildBaseUrl,
     getMovieStreams,
     getSeriesStreams,
     buildMagnet,
     formatStreamTitle,
-    parseStream
+    parseStream,
+    parseSizeToBytes
 };